@@ -1,6 +1,7 @@
 class TaskManager {
     constructor() {
         this.geojsonData = null;
+        this.featureKeys = null; // Import keys of geojsonData's features (see getLoadedFeatureKeys)
         this.sequences = [];
         this.currentIndex = 0;
         this.map = null;
@@ -9,8 +10,29 @@ class TaskManager {
         this.navigatingToSequenceId = null; // Track sequence we're navigating to for highlighting
         this.allTasksSearchTerm = ''; // Track search term for "All Tasks" tab
         this.previewEditMode = false; // Track if preview is in edit mode
-        this.originalPreviewFeatures = null; // Store original features for revert
         this.editableLayers = []; // Track editable layers
+        this.previewUndoStack = []; // Edit commands that can be undone in the current preview session
+        this.previewRedoStack = []; // Undone edit commands that can be redone
+        this.overviewMap = null; // Dashboard map showing all sequences
+        this.overviewMapVisible = false;
+        this.overviewLayers = new Map(); // Sequence ID -> { layer, features } drawn on the overview map
+        this.overviewFitKey = null; // Tracks when the overview map needs to re-fit its bounds
+        this.skipReasons = ['Duplicate', 'Already mapped', 'Bad GPS', 'Private road']; // Reasons offered when skipping (editable in Settings)
+        this.resolveDialog = null; // Resolver for the open dialog, if any
+        this.userName = ''; // Recorded with status changes (editable in Settings)
+        this.importWorker = null; // parse-worker.js for the upload in progress (null = parse on the main thread)
+        this.importRequests = new Map(); // Request ID -> { resolve, reject, onProgress } awaiting the worker
+        this.importRequestId = 0;
+        this.importCancelled = false;
+        this.sequenceIdMapping = { mode: 'auto', property: '', template: '' }; // Last grouping chosen in the import dialog
+        this.alwaysShowImportOptions = false; // Otherwise the import dialog only opens when the grouping or CRS is unclear
+        this.csvColumnMappings = {}; // CSV header signature -> column names chosen in the mapping dialog
+        this.importExtensions = ['geojson', 'json', 'gpx', 'csv', 'kml', 'kmz', 'osm', 'osc', 'tcx', 'fit', 'nmea', 'nma', 'zip', 'gz']; // File types the importer reads
+        this.gpxExtensionNamespaces = { // Declared on exported GPX files for per-point <extensions>
+            gpxtpx: 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2',
+            osmagic: 'urn:osmagic:gpx-extensions:1' // Imported values TrackPointExtension has no element for
+        };
+        this.gpxTrackPointExtensionKeys = ['atemp', 'wtemp', 'depth', 'hr', 'cad', 'speed', 'course', 'bearing']; // In schema order
         
         this.init();
     }
@@ -24,6 +46,7 @@ class TaskManager {
         }
         
         this.initializeEventListeners();
+        await this.loadSettings();
         await this.loadFromStorage();
     }
 
@@ -33,6 +56,7 @@ class TaskManager {
         const nextBtn = document.getElementById('nextBtn');
 
         if (fileInput) {
+            fileInput.accept = this.importExtensions.map(ext => `.${ext}`).join(',');
             fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
         }
 
@@ -43,280 +67,579 @@ class TaskManager {
         if (nextBtn) {
             nextBtn.addEventListener('click', () => this.showNext());
         }
+
+        // Undo/redo shortcuts for the preview editor
+        document.addEventListener('keydown', (e) => this.handlePreviewKeydown(e));
+
+        // Drop files or folders anywhere on the page, or paste GeoJSON/WKT/coordinates
+        document.addEventListener('dragover', (e) => this.handleDragOver(e));
+        document.addEventListener('dragleave', (e) => this.handleDragLeave(e));
+        document.addEventListener('drop', (e) => this.handleDrop(e));
+        document.addEventListener('paste', (e) => this.handlePaste(e));
     }
 
     async handleFileUpload(event) {
-        const files = Array.from(event.target.files);
-        if (files.length === 0) return;
-
-        const fileInfo = document.getElementById('fileInfo');
-        if (fileInfo) {
-            fileInfo.textContent = `Loading ${files.length} file(s)...`;
+        try {
+            await this.importFiles(Array.from(event.target.files));
+        } finally {
+            // Allow picking the same files again (e.g. re-uploading to replace duplicates)
+            event.target.value = '';
         }
+    }
 
-        // Process all files with progress tracking
-        const promises = files.map(file => {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = async (e) => {
-                    try {
-                        const fileName = file.name.toLowerCase();
-                        let geojson;
-
-                        // Detect file type and parse accordingly
-                        if (fileName.endsWith('.gpx')) {
-                            geojson = this.parseGPX(e.target.result);
-                        } else if (fileName.endsWith('.csv')) {
-                            // Use async CSV parsing for large files (> 100 rows)
-                            const lineCount = (e.target.result.match(/\n/g) || []).length;
-                            if (lineCount > 100) {
-                                geojson = await this.parseCSVAsync(e.target.result, (progress) => {
-                                    if (fileInfo && files.length === 1) {
-                                        fileInfo.textContent = `Processing CSV: ${progress}%...`;
-                                    }
-                                });
-                            } else {
-                                geojson = this.parseCSV(e.target.result);
-                            }
-                        } else {
-                            // Assume GeoJSON
-                            geojson = JSON.parse(e.target.result);
-                        }
-
-                        resolve({ geojson, fileName: file.name });
-                    } catch (error) {
-                        reject({ error, fileName: file.name });
-                    }
-                };
-                reader.onerror = () => reject({ error: new Error('Failed to read file'), fileName: file.name });
-                reader.readAsText(file);
-            });
-        });
+    async importFiles(files) {
+        // Import pipeline shared by the file picker, drag-and-drop and paste.
+        // Resolves true when features were added, false if the import failed or was cancelled.
+        if (files.length === 0) return false;
 
-        // Combine all files into one GeoJSON
-        const results = await Promise.allSettled(promises);
-        const newFeatures = [];
+        this.importCancelled = false;
+        this.setImportStatus(`Loading ${files.length} file(s)...`, true);
         const errors = [];
-        let loadedCount = 0;
 
-        results.forEach((result) => {
-            if (result.status === 'fulfilled') {
-                newFeatures.push(...result.value.geojson.features);
-                loadedCount++;
-            } else {
-                errors.push(`${result.reason.fileName}: ${result.reason.error.message}`);
+        try {
+            // Bundles: .zip archives and .gz files are replaced by the files they contain
+            if (files.some(file => /\.(zip|gz)$/i.test(file.name))) {
+                this.setImportStatus('Unpacking archives...', true);
+                files = await this.expandArchives(files, errors);
+                if (this.importCancelled) {
+                    throw new Error('Import cancelled');
+                }
+                if (files.length === 0) {
+                    this.setImportStatus(`✗ Error: No valid files loaded. ${errors.join('; ')}`, false);
+                    return false;
+                }
+                this.setImportStatus(`Loading ${files.length} file(s)...`, true);
             }
-        });
 
-        if (newFeatures.length === 0) {
-            if (fileInfo) {
-                fileInfo.textContent = `✗ Error: No valid files loaded. ${errors.join('; ')}`;
+            await this.startImportParser();
+
+            // Every file is read and parsed by the parser (in the worker when there is one), never on the page
+            const loadFiles = files.map(file => ({ fileName: file.name, file }));
+            const loaded = await this.parserRequest('load', { files: loadFiles }, (label, percent) => {
+                this.setImportStatus(`${label}: ${percent}%...`, true);
+            });
+            errors.push(...loaded.errors);
+            const imports = loaded.imports;
+
+            // osmChange files edit the geometry of the sequence they were exported from, like .osm files
+            // sent back (processGeoJSON keeps edited geometry, and Revert still restores the original upload)
+            let changeCount = 0;
+            for (const change of loaded.changes) {
+                try {
+                    const sequence = this.sequences.find(seq => String(seq.id) === change.sequenceId);
+                    if (!sequence) {
+                        throw new Error(`sequence ${change.sequenceId} is not loaded`);
+                    }
+                    sequence.features = this.applyOSMChange(sequence, change);
+                    sequence.isEdited = true;
+                    const stats = featureParser.calculateStats(sequence.features);
+                    sequence.featureCount = stats.features;
+                    sequence.nodeCount = stats.nodes;
+                    sequence.wayCount = stats.ways;
+                    await this.saveEditedGeometry(sequence);
+                    changeCount++;
+                } catch (error) {
+                    errors.push(`${change.fileName}: ${error.message}`);
+                }
             }
-            return;
-        }
+            const changeMsg = changeCount > 0 ? `, ${changeCount} osmChange file(s) applied` : '';
 
-        // Merge with existing cached data instead of replacing
-        const existingFeatures = this.geojsonData?.features || [];
-        const allFeatures = [...existingFeatures, ...newFeatures];
+            // Confirm the column mapping of each CSV before grouping (null = file skipped)
+            this.setImportStatus('Choosing import options...', false);
+            const columns = imports.map(() => undefined);
+            for (let index = 0; index < imports.length; index++) {
+                if (!imports[index].csv) continue;
+                columns[index] = await this.promptCSVColumnMapping(imports[index]);
+                if (!columns[index]) {
+                    errors.push(`${imports[index].fileName}: import cancelled`);
+                }
+            }
 
-        // Combine all features into one GeoJSON
-        const combinedGeoJSON = {
-            type: 'FeatureCollection',
-            features: allFeatures
-        };
+            // Choose how this import is grouped into sequences, and its coordinate system
+            let options = null;
+            if (imports.some((item, index) => columns[index] !== null)) {
+                options = this.canSkipImportOptions(imports, columns) ?
+                    { mapping: this.sequenceIdMapping, crs: 'auto' } :
+                    await this.promptImportOptions(imports, columns);
+                if (!options) {
+                    throw new Error('Import cancelled');
+                }
+            }
 
-        this.geojsonData = combinedGeoJSON;
-        
-        // Process with progress indicator for large datasets
-        if (allFeatures.length > 50) {
-            if (fileInfo) {
-                fileInfo.textContent = `Processing ${allFeatures.length} features...`;
+            if (!options && changeCount > 0) {
+                await this.saveToStorage();
+                this.renderCurrentTask();
+                this.updateSummary();
+                this.renderOverviewMap();
+                const errorMsg = errors.length > 0 ? ` (${errors.length} error(s): ${errors.join('; ')})` : '';
+                this.setImportStatus(`✓ ${changeCount} osmChange file(s) applied${errorMsg}`, false);
+                return true;
             }
-            await this.processGeoJSONAsync(combinedGeoJSON, (progress) => {
-                if (fileInfo) {
-                    fileInfo.textContent = `Processing: ${progress}%...`;
+            if (!options) {
+                this.setImportStatus(`✗ Error: No valid files loaded. ${errors.join('; ')}`, false);
+                return false;
+            }
+
+            this.setImportStatus('Processing...', true);
+            const onProgress = (label, percent) => {
+                this.setImportStatus(`${label}: ${percent}%...`, true);
+            };
+            // Merge with existing cached data instead of replacing. The parser only gets the keys of the
+            // loaded features - copying the features themselves to the worker would stall the page
+            const existingFeatures = this.geojsonData?.features || [];
+            const existingKeys = this.getLoadedFeatureKeys();
+            const built = await this.parserRequest('build', { mapping: options.mapping, columns, crs: options.crs, existingKeys }, onProgress);
+            errors.push(...built.errors);
+
+            if (built.featureCount === 0 && built.editCount === 0 && changeCount === 0) {
+                this.setImportStatus(`✗ Error: No valid files loaded. ${errors.join('; ')}`, false);
+                return false;
+            }
+
+            // Re-uploads: ask what to do with features that are already loaded
+            let duplicateMode = 'append';
+            if (built.duplicateCount > 0) {
+                duplicateMode = await this.promptDuplicateHandling(built);
+                if (!duplicateMode) {
+                    throw new Error('Import cancelled');
                 }
-            });
+                this.setImportStatus('Processing...', true);
+            }
+            const merged = await this.parserRequest('merge', { duplicates: duplicateMode }, onProgress);
+
+            // OSM files sent back after editing in JOSM become the edited geometry of their sequences
+            // (processGeoJSON keeps edited geometry, and Revert still restores the original upload)
+            for (const [sequenceId, features] of Object.entries(merged.edits)) {
+                const sequence = this.sequences.find(seq => String(seq.id) === sequenceId);
+                if (!sequence) continue;
+                sequence.features = features;
+                sequence.isEdited = true;
+                await this.saveEditedGeometry(sequence);
+            }
+
+            // Combine all features into one GeoJSON
+            const removed = new Set(merged.removedExisting);
+            const allFeatures = existingFeatures
+                .filter((feature, index) => !removed.has(index))
+                .concat(merged.features);
+            const allKeys = existingKeys
+                .filter((key, index) => !removed.has(index))
+                .concat(merged.keys);
+            await this.processGeoJSON({
+                type: 'FeatureCollection',
+                features: allFeatures
+            }, merged.groups, allKeys);
+
+            const errorMsg = errors.length > 0 ? ` (${errors.length} error(s): ${errors.join('; ')})` : '';
+            const duplicateLabels = { skip: 'skipped', replace: 'replaced', append: 'appended' };
+            const duplicateMsg = built.duplicateCount > 0 ? `, ${built.duplicateCount} duplicate(s) ${duplicateLabels[duplicateMode]}` : '';
+            const editMsg = built.editCount > 0 ? `, ${built.editCount} sequence(s) updated from OSM edits` : '';
+            this.setImportStatus(`✓ Loaded ${built.loadedCount} file(s)${errorMsg}: ${merged.features.length} features${duplicateMsg}${editMsg}${changeMsg} (Total: ${allFeatures.length} features)`, false);
+            return true;
+        } catch (error) {
+            if (error.message === 'Import cancelled') {
+                this.setImportStatus('Import cancelled', false);
             } else {
-                await this.processGeoJSON(combinedGeoJSON);
+                console.error('Error importing files:', error);
+                this.setImportStatus(`✗ Error: ${error.message}`, false);
             }
-        
-        // Save to IndexedDB
-        await this.saveToStorage();
-        
-        const errorMsg = errors.length > 0 ? ` (${errors.length} error(s))` : '';
-        const totalFeatures = allFeatures.length;
-        const addedCount = newFeatures.length;
-        const fileInfoText = `✓ Loaded ${loadedCount} file(s)${errorMsg}: ${addedCount} features (Total: ${totalFeatures} features)`;
-        
-        if (fileInfo) {
-            fileInfo.textContent = fileInfoText;
+            return false;
+        } finally {
+            this.stopImportParser();
         }
     }
 
-    async processGeoJSON(geojson) {
-        if (!geojson.features || !Array.isArray(geojson.features)) {
-            throw new Error('Invalid GeoJSON: missing features array');
+    async promptDuplicateHandling(built) {
+        // Resolves with 'skip', 'replace' or 'append', or null if the import was cancelled
+        const body = await this.showDialog('⚠️ Duplicates Found', `
+            <p>${built.duplicateCount} of ${built.featureCount} imported features are already loaded (same source file and position, or identical geometry).</p>
+            <label class="status-label" for="duplicateMode">Duplicates</label>
+            <select id="duplicateMode" class="status-dropdown settings-input">
+                <option value="skip">Skip - keep the loaded copy</option>
+                <option value="replace">Replace - use the new copy</option>
+                <option value="append">Append - keep both copies</option>
+            </select>
+            <p class="dialog-hint">Status, notes and edits are kept either way - they belong to the sequence, not the features.</p>
+        `, 'Continue');
+        
+        return body ? body.querySelector('#duplicateMode').value : null;
+    }
+
+    isSupportedImportFile(fileName) {
+        const match = fileName.match(/\.([^./]+)$/);
+        return !!match && this.importExtensions.includes(match[1].toLowerCase());
+    }
+
+    handleDragOver(e) {
+        // Only react to files being dragged (not text or elements within the page)
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        this.setDropHighlight(true);
+    }
+
+    handleDragLeave(e) {
+        // relatedTarget is null once the pointer leaves the window
+        if (!e.relatedTarget) {
+            this.setDropHighlight(false);
         }
+    }
 
-        // Preserve existing status values
-        const existingStatusMap = new Map();
-        this.sequences.forEach(seq => {
-            if (seq.status !== undefined) {
-                existingStatusMap.set(String(seq.id), seq.status);
+    async handleDrop(e) {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        this.setDropHighlight(false);
+        
+        try {
+            const files = await this.getDroppedFiles(e.dataTransfer);
+            if (files.length === 0) {
+                this.setImportStatus(`✗ No supported files found (${this.importExtensions.map(ext => `.${ext}`).join(', ')})`, false);
+                return;
             }
-        });
+            await this.importFiles(files);
+        } catch (error) {
+            console.error('Error reading dropped files:', error);
+            this.setImportStatus(`✗ Error: ${error.message}`, false);
+        }
+    }
 
-        // Group features by sequence ID
-        const sequenceMap = new Map();
-
-        geojson.features.forEach((feature) => {
-            const sequenceId = String(
-                feature.properties?.sequence_id || 
-                feature.properties?.sequenceId || 
-                feature.properties?.sequence || 
-                feature.properties?.id ||
-                feature.properties?.seq ||
-                `sequence_${feature.properties?.id || Math.random().toString(36).substr(2, 9)}`
-            );
-
-            if (!sequenceMap.has(sequenceId)) {
-                const existingStatus = existingStatusMap.get(sequenceId);
-                sequenceMap.set(sequenceId, {
-                    id: sequenceId,
-                    features: [],
-                    status: existingStatus !== undefined ? existingStatus : '', // blank = active
-                    date: new Date().toLocaleDateString()
-                });
-            }
+    setDropHighlight(active) {
+        const uploadPanel = document.querySelector('.upload-panel');
+        if (uploadPanel) {
+            uploadPanel.classList.toggle('drag-over', active);
+        }
+    }
 
-            sequenceMap.get(sequenceId).features.push(feature);
-        });
+    async getDroppedFiles(dataTransfer) {
+        // Entries must be taken synchronously - the DataTransfer is emptied once the drop handler yields
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(entry => entry);
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files).filter(file => this.isSupportedImportFile(file.name));
+        }
+        
+        const files = [];
+        for (const entry of entries) {
+            await this.collectEntryFiles(entry, files);
+        }
+        return files;
+    }
 
-        // Convert to array and calculate stats
-        this.sequences = Array.from(sequenceMap.values()).map(seq => {
-            const stats = this.calculateStats(seq.features);
-            return {
-                ...seq,
-                featureCount: stats.features,
-                nodeCount: stats.nodes,
-                wayCount: stats.ways
-            };
-        });
+    async collectEntryFiles(entry, files) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            // Folders can hold anything - only pick up supported formats
+            if (this.isSupportedImportFile(file.name)) {
+                files.push(file);
+            }
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns the folder in batches, then an empty batch
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await this.collectEntryFiles(child, files);
+                }
+            } while (batch.length > 0);
+        }
+    }
 
-        // Sort by sequence ID (numeric if possible, otherwise alphabetical)
-        this.sequences.sort((a, b) => {
-            const aNum = parseInt(a.id);
-            const bNum = parseInt(b.id);
-            if (!isNaN(aNum) && !isNaN(bNum)) {
-                return aNum - bNum;
-            }
-            return a.id.localeCompare(b.id);
-        });
+    async handlePaste(e) {
+        // Pasting into form fields or while a dialog is open is left alone
+        const target = e.target;
+        if (this.resolveDialog || (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable))) {
+            return;
+        }
+        if (!e.clipboardData) return;
+        
+        const files = Array.from(e.clipboardData.files || []).filter(file => this.isSupportedImportFile(file.name));
+        if (files.length > 0) {
+            e.preventDefault();
+            await this.importFiles(files);
+            return;
+        }
+        
+        const text = e.clipboardData.getData('text/plain');
+        if (!text || !text.trim()) return;
+        
+        // The paste target isn't editable, so nothing is lost by taking over the paste
+        e.preventDefault();
+        let geojson;
+        try {
+            geojson = await this.parsePastedText(text);
+        } catch (error) {
+            this.setImportStatus(error.message, false);
+            return;
+        }
+        if (!geojson) {
+            this.setImportStatus('✗ Pasted text is not GeoJSON, WKT or a list of coordinates', false);
+            return;
+        }
+        
+        // Goes through the same pipeline as an uploaded .geojson file
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        await this.importFiles([new File([JSON.stringify(geojson)], `pasted_${timestamp}.geojson`, { type: 'application/geo+json' })]);
+    }
 
-        // Reset to first item in current view
-        const viewSequences = this.getCurrentViewSequences();
-        if (viewSequences.length > 0) {
-            const firstSequence = viewSequences[0];
-            this.currentIndex = this.sequences.findIndex(seq => seq.id === firstSequence.id);
-        } else {
-            this.currentIndex = 0;
+    async parsePastedText(text) {
+        // GeoJSON (collection, feature or bare geometry), WKT, or coordinate pairs -> FeatureCollection, or null
+        const trimmed = text.trim();
+        const toCollection = (geometry) => ({
+            type: 'FeatureCollection',
+            features: [{ type: 'Feature', properties: {}, geometry: geometry }]
+        });
+        
+        if (/^[\[{]/.test(trimmed)) {
+            try {
+                const json = JSON.parse(trimmed);
+                if (Array.isArray(json)) {
+                    // A JSON array of pairs is GeoJSON positions: lon, lat
+                    const orders = this.getCoordinateOrders(json);
+                    const order = orders.includes('lonlat') ? 'lonlat' : orders[0];
+                    return order ? toCollection(this.coordinatePairsToGeometry(json, order)) : null;
+                }
+                if (json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+                    return json;
+                }
+                if (json.type === 'Feature') {
+                    return { type: 'FeatureCollection', features: [json] };
+                }
+                if (json.type && json.coordinates) {
+                    return toCollection(json);
+                }
+                return null;
+            } catch (error) {
+                // Not JSON - try the other formats
+            }
+        }
+        
+        const wktGeometry = featureParser.parseWKT(trimmed);
+        if (wktGeometry) {
+            return toCollection(wktGeometry);
+        }
+        
+        // One pair per line (or separated by semicolons), e.g. "1.3521, 103.8198"
+        const pairs = trimmed.split(/[\r\n;]+/)
+            .map(line => line.trim())
+            .filter(line => line)
+            .map(line => line.split(/[\s,]+/).map(Number));
+        // Plain text pairs are usually lat, lon (as copied from most map sites) - ask when they could be either
+        const orders = this.getCoordinateOrders(pairs);
+        if (orders.length === 0) return null;
+        const order = orders.length === 1 ? orders[0] : await this.promptCoordinateOrder(pairs);
+        if (!order) {
+            throw new Error('Import cancelled');
         }
+        return toCollection(this.coordinatePairsToGeometry(pairs, order));
+    }
 
-        this.geojsonData = geojson;
-        await this.saveToStorage();
-        this.renderCurrentTask();
-        this.updateSummary();
+    getCoordinateOrders(pairs) {
+        // The readings ('latlon', 'lonlat') under which every pair is a valid position
+        const valid = pairs.length > 0 && pairs.every(pair => Array.isArray(pair) && pair.length >= 2 &&
+            typeof pair[0] === 'number' && typeof pair[1] === 'number' && !isNaN(pair[0]) && !isNaN(pair[1]));
+        if (!valid) return [];
+        
+        const fits = (lat, lon) => Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+        return ['latlon', 'lonlat'].filter(order => pairs.every(pair =>
+            (order === 'latlon' ? fits(pair[0], pair[1]) : fits(pair[1], pair[0]))));
     }
 
-    async processGeoJSONAsync(geojson, progressCallback) {
-        // Async version for large datasets - processes in chunks
-        if (!geojson.features || !Array.isArray(geojson.features)) {
-            console.error('Invalid GeoJSON: missing features array');
-            return;
+    async promptCoordinateOrder(pairs) {
+        // Resolves with 'latlon' or 'lonlat', or null if the paste was cancelled
+        const [first, second] = pairs[0];
+        const body = await this.showDialog('🧭 Coordinate Order', `
+            <p>The pasted coordinates are valid either way round. The first one, <code>${first}, ${second}</code>, is:</p>
+            <select id="coordinateOrder" class="status-dropdown settings-input">
+                <option value="latlon">Latitude, longitude (lat ${first}, lon ${second})</option>
+                <option value="lonlat">Longitude, latitude (lat ${second}, lon ${first})</option>
+            </select>
+        `, 'Import');
+        
+        return body ? body.querySelector('#coordinateOrder').value : null;
+    }
+
+    coordinatePairsToGeometry(pairs, order) {
+        // Pairs read in the given order ('latlon' or 'lonlat') -> Point or LineString
+        const coordinates = pairs.map(pair => (order === 'lonlat' ? [pair[0], pair[1]] : [pair[1], pair[0]]));
+        if (coordinates.length === 1) {
+            return { type: 'Point', coordinates: coordinates[0] };
         }
+        return { type: 'LineString', coordinates: coordinates };
+    }
 
-        // Preserve existing status values
-        const existingStatusMap = new Map();
-        this.sequences.forEach(seq => {
-            if (seq.status !== undefined) {
-                existingStatusMap.set(String(seq.id), seq.status);
+    async expandArchives(files, errors, depth = 0) {
+        // Unpacks .zip archives and decompresses .gz files - nested ones too - into the supported files
+        // they contain. Entries are named "archive.zip/path/entry.gpx"; failures go to errors per entry.
+        const expanded = [];
+        for (const file of files) {
+            const name = file.name.toLowerCase();
+            if (!/\.(zip|gz)$/.test(name)) {
+                expanded.push(file);
+                continue;
+            }
+            if (depth >= 3) {
+                errors.push(`${file.name}: archives nested too deeply`);
+                continue;
             }
-        });
 
-        // Group features by sequence ID - process in chunks
-        const sequenceMap = new Map();
-        const totalFeatures = geojson.features.length;
-        const chunkSize = 100; // Process 100 features at a time
+            try {
+                if (name.endsWith('.gz')) {
+                    const innerName = file.name.replace(/\.gz$/i, '');
+                    if (!this.isSupportedImportFile(innerName)) {
+                        throw new Error('unsupported file type inside the gzip file');
+                    }
+                    const blob = await archiveReader.decompressBlob(file, 'gzip');
+                    expanded.push(...await this.expandArchives([new File([blob], innerName)], errors, depth + 1));
+                    continue;
+                }
 
-        for (let start = 0; start < totalFeatures; start += chunkSize) {
-            const end = Math.min(start + chunkSize, totalFeatures);
-            
-            for (let i = start; i < end; i++) {
-                const feature = geojson.features[i];
-                const sequenceId = String(
-                    feature.properties?.sequence_id || 
-                    feature.properties?.sequenceId || 
-                    feature.properties?.sequence || 
-                    feature.properties?.id ||
-                    feature.properties?.seq ||
-                    `sequence_${feature.properties?.id || Math.random().toString(36).substr(2, 9)}`
-                );
-
-                if (!sequenceMap.has(sequenceId)) {
-                    const existingStatus = existingStatusMap.get(sequenceId);
-                    sequenceMap.set(sequenceId, {
-                        id: sequenceId,
-                        features: [],
-                        status: existingStatus !== undefined ? existingStatus : '',
-                        date: new Date().toLocaleDateString()
-                    });
+                const buffer = await file.arrayBuffer();
+                // Skip folders of macOS metadata and hidden files, and anything we can't import
+                const entries = archiveReader.listZipEntries(buffer).filter(entry =>
+                    !/(^|\/)(__MACOSX\/|\.[^/]*$)/.test(entry.name) && this.isSupportedImportFile(entry.name));
+                if (entries.length === 0) {
+                    throw new Error('no supported files in the archive');
                 }
 
-                sequenceMap.get(sequenceId).features.push(feature);
+                for (const entry of entries) {
+                    const entryName = `${file.name}/${entry.name}`;
+                    try {
+                        const data = await archiveReader.readZipEntry(buffer, entry);
+                        expanded.push(...await this.expandArchives([new File([data], entryName)], errors, depth + 1));
+                    } catch (error) {
+                        // Reader errors already start with the entry name
+                        errors.push(`${entryName}: ${error.message.replace(`${entry.name}: `, '')}`);
+                    }
+                }
+            } catch (error) {
+                errors.push(`${file.name}: ${error.message}`);
             }
+        }
+        return expanded;
+    }
 
-            // Update progress
-            if (progressCallback) {
-                const progress = Math.round((end / totalFeatures) * 50); // First 50% for grouping
-                progressCallback(progress);
-            }
+    async startImportParser() {
+        // Parse in a worker when possible. Pages opened from file:// can't start one in some
+        // browsers, in which case featureParser runs the same requests on the main thread.
+        this.importRequests = new Map();
+        try {
+            this.importWorker = new Worker('parse-worker.js');
+            this.importWorker.onmessage = (e) => this.handleImportWorkerMessage(e.data);
+            this.importWorker.onerror = (e) => {
+                e.preventDefault();
+                this.failImportRequests(new Error(e.message || 'Parse worker failed'));
+            };
+            await this.parserRequest('ping');
+        } catch (error) {
+            console.warn('Parse worker unavailable, parsing on the main thread:', error.message);
+            this.stopImportParser();
+        }
+    }
 
-            // Yield to browser
-            await new Promise(resolve => setTimeout(resolve, 0));
+    stopImportParser() {
+        if (this.importWorker) {
+            this.importWorker.terminate();
+            this.importWorker = null;
         }
+    }
 
-        // Calculate stats in chunks
-        const sequences = Array.from(sequenceMap.values());
-        const processedSequences = [];
-        const statsChunkSize = 50;
+    parserRequest(type, payload = {}, onProgress = null) {
+        if (!this.importWorker) {
+            return featureParser.handleRequest(type, payload, onProgress);
+        }
+        return new Promise((resolve, reject) => {
+            const id = ++this.importRequestId;
+            this.importRequests.set(id, { resolve, reject, onProgress });
+            this.importWorker.postMessage({ id, type, payload });
+        });
+    }
 
-        for (let start = 0; start < sequences.length; start += statsChunkSize) {
-            const end = Math.min(start + statsChunkSize, sequences.length);
-            
-            for (let i = start; i < end; i++) {
-                const seq = sequences[i];
-                const stats = this.calculateStats(seq.features);
-                processedSequences.push({
-                    ...seq,
-                    featureCount: stats.features,
-                    nodeCount: stats.nodes,
-                    wayCount: stats.ways
-                });
+    handleImportWorkerMessage(data) {
+        const request = this.importRequests.get(data.id);
+        if (!request) return;
+        
+        if (data.progress) {
+            if (request.onProgress) {
+                request.onProgress(data.progress.label, data.progress.percent);
             }
+            return;
+        }
+        
+        this.importRequests.delete(data.id);
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve(data.result);
+        }
+    }
 
-            // Update progress
-            if (progressCallback) {
-                const progress = 50 + Math.round((end / sequences.length) * 50); // Second 50% for stats
-                progressCallback(progress);
-            }
+    failImportRequests(error) {
+        this.importRequests.forEach(request => request.reject(error));
+        this.importRequests.clear();
+    }
 
-            // Yield to browser
-            await new Promise(resolve => setTimeout(resolve, 0));
+    cancelImport() {
+        this.importCancelled = true;
+        if (this.importWorker) {
+            this.stopImportParser();
+            this.failImportRequests(new Error('Import cancelled'));
+        } else {
+            // Main-thread parsing checks this between chunks
+            featureParser.cancelled = true;
         }
+    }
 
-        // Sort by sequence ID
-        processedSequences.sort((a, b) => {
+    setImportStatus(text, cancellable) {
+        const fileInfo = document.getElementById('fileInfo');
+        if (!fileInfo) return;
+        fileInfo.innerHTML = `${this.escapeXml(text)}${cancellable ? ' <button class="btn btn-secondary btn-cancel-import" onclick="taskManager.cancelImport()">✕ Cancel</button>' : ''}`;
+    }
+
+    getLoadedFeatureKeys() {
+        // Imports hand back the keys of the features they add, and they are saved with the features;
+        // after a change without them (or data saved by an older version), they are worked out here once
+        if (!this.featureKeys) {
+            this.featureKeys = (this.geojsonData?.features || []).map(feature => featureParser.getFeatureKey(feature));
+        }
+        return this.featureKeys;
+    }
+
+    async processGeoJSON(geojson, groups = null, keys = null) {
+        if (!geojson.features || !Array.isArray(geojson.features)) {
+            throw new Error('Invalid GeoJSON: missing features array');
+        }
+
+        // Uploads are grouped by the parse worker; otherwise group here
+        const sequenceGroups = groups || featureParser.groupFeatures(geojson.features);
+
+        // Preserve existing per-sequence state (status, notes, dates, edited geometry)
+        const existingSequenceMap = new Map();
+        this.sequences.forEach(seq => {
+            existingSequenceMap.set(String(seq.id), seq);
+        });
+
+        // Edited geometry takes precedence over the original
+        this.sequences = sequenceGroups.map(group => {
+            const existing = existingSequenceMap.get(group.id);
+            const originalFeatures = group.indexes.map(index => geojson.features[index]);
+            const editedFeatures = existing && existing.isEdited ? existing.features : null;
+            const stats = editedFeatures ? featureParser.calculateStats(editedFeatures) : group.stats;
+            return {
+                id: group.id,
+                ...this.getPreservedState(existing),
+                features: editedFeatures || originalFeatures,
+                originalFeatures: originalFeatures,
+                isEdited: !!editedFeatures,
+                featureCount: stats.features,
+                nodeCount: stats.nodes,
+                wayCount: stats.ways
+            };
+        });
+
+        // Sort by sequence ID (numeric if possible, otherwise alphabetical)
+        this.sequences.sort((a, b) => {
             const aNum = parseInt(a.id);
             const bNum = parseInt(b.id);
             if (!isNaN(aNum) && !isNaN(bNum)) {
@@ -325,9 +648,6 @@ class TaskManager {
             return a.id.localeCompare(b.id);
         });
 
-        this.sequences = processedSequences;
-        this.geojsonData = geojson;
-        
         // Reset to first item in current view
         const viewSequences = this.getCurrentViewSequences();
         if (viewSequences.length > 0) {
@@ -336,521 +656,241 @@ class TaskManager {
         } else {
             this.currentIndex = 0;
         }
-        
+
+        this.geojsonData = geojson;
+        this.featureKeys = keys;
         await this.saveToStorage();
         this.renderCurrentTask();
         this.updateSummary();
     }
 
-    calculateStats(features) {
-        let nodes = 0;
-        let ways = 0;
-
-        features.forEach(feature => {
-            if (feature.geometry) {
-                if (feature.geometry.type === 'Point') {
-                    nodes++;
-                } else if (feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString') {
-                    ways++;
-                    if (feature.geometry.coordinates) {
-                        if (Array.isArray(feature.geometry.coordinates[0])) {
-                            nodes += feature.geometry.coordinates.length;
-                        } else {
-                            nodes += 1;
-                        }
-                    }
-                } else if (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') {
-                    ways++;
-                    if (feature.geometry.coordinates && feature.geometry.coordinates[0]) {
-                        nodes += feature.geometry.coordinates[0].length;
-                    }
-                }
-            }
-        });
-
-        return {
-            features: features.length,
-            nodes: nodes,
-            ways: ways
-        };
+    canSkipImportOptions(imports, columns) {
+        // Auto-detection settles the import when every feature has a sequence ID property and every file
+        // is WGS84 or declares its coordinate system. CSV coordinates are only checked on import, so
+        // CSV files always get the dialog, as does a grouping other than auto chosen last time.
+        if (this.alwaysShowImportOptions || this.sequenceIdMapping.mode !== 'auto') return false;
+        return imports.every((item, index) => columns[index] === null ||
+            (!item.csv && item.missingIdCount === 0 && (item.crs === 'EPSG:4326' || !item.crsDetected)));
     }
 
-    parseGPX(gpxText) {
-        // Parse GPX XML to GeoJSON format
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(gpxText, 'text/xml');
+    async promptImportOptions(imports, columns) {
+        // Per-import choice of how features (and CSV rows) are grouped into sequences, and of the source
+        // coordinate system. Resolves with { mapping, crs }, or null if the import was cancelled.
+        const propertyNames = new Set();
+        let recordCount = 0;
+        let fileCount = 0;
+        imports.forEach((item, index) => {
+            if (columns[index] === null) return;
+            fileCount++;
+            if (item.csv) {
+                item.csv.header.forEach(col => propertyNames.add(col.trim()));
+                recordCount += item.csv.rowCount;
+            } else {
+                item.propertyNames.forEach(name => propertyNames.add(name));
+                recordCount += item.featureCount;
+            }
+        });
         
-        const features = [];
+        const mapping = { mode: 'auto', property: '', template: '', ...this.sequenceIdMapping };
+        const sortedNames = Array.from(propertyNames).sort((a, b) => a.localeCompare(b));
+        if (mapping.mode === 'property' && !propertyNames.has(mapping.property)) {
+            mapping.mode = 'auto';
+        }
+        
+        // Not remembered between imports, so a one-off choice can't silently misplace the next upload
+        const crsOptions = [
+            { value: 'auto', label: 'Auto-detect (declared crs, WGS84 or SVY21)' },
+            { value: 'EPSG:4326', label: crsTransformer.getLabel('EPSG:4326') },
+            { value: 'EPSG:3414', label: crsTransformer.getLabel('EPSG:3414') },
+            { value: 'EPSG:3857', label: crsTransformer.getLabel('EPSG:3857') },
+            { value: 'utm', label: 'WGS84 / UTM zone' }
+        ];
+        // GeoJSON files that aren't plain longitude/latitude (CSV columns are only checked on import)
+        const detected = imports
+            .filter((item, index) => columns[index] !== null && !item.csv && item.crs !== 'EPSG:4326')
+            .map(item => `${this.escapeXml(item.fileName)}: ${item.crs ? this.escapeXml(crsTransformer.getLabel(item.crs)) : 'unknown - choose below'}`);
+        
+        const dialog = this.showDialog('📥 Import Options', `
+            <p class="dialog-hint">${fileCount} file(s), ${recordCount} features/rows</p>
+            <label class="status-label" for="sequenceIdMode">Group into sequences by</label>
+            <select id="sequenceIdMode" class="status-dropdown settings-input">
+                <option value="auto" ${mapping.mode === 'auto' ? 'selected' : ''}>Auto (sequence_id, sequenceId, sequence, id, seq)</option>
+                <option value="property" ${mapping.mode === 'property' ? 'selected' : ''} ${sortedNames.length === 0 ? 'disabled' : ''}>Property</option>
+                <option value="template" ${mapping.mode === 'template' ? 'selected' : ''}>Template</option>
+            </select>
+            <select id="sequenceIdProperty" class="status-dropdown settings-input">
+                ${sortedNames.map(name => `<option value="${this.escapeXml(name)}" ${name === mapping.property ? 'selected' : ''}>${this.escapeXml(name)}</option>`).join('')}
+            </select>
+            <input type="text" id="sequenceIdTemplate" class="search-input settings-input" value="${this.escapeXml(mapping.template)}" placeholder="e.g. {driver}_{date}">
+            <p class="dialog-hint" id="sequenceIdPreview"></p>
+            <label class="status-label" for="importCRS">Source coordinate system</label>
+            <select id="importCRS" class="status-dropdown settings-input">
+                ${crsOptions.map(option => `<option value="${option.value}">${this.escapeXml(option.label)}</option>`).join('')}
+            </select>
+            <div id="importUTMOptions" class="utm-options">
+                <select id="importUTMZone" class="status-dropdown settings-input">
+                    ${Array.from({ length: 60 }, (_, i) => i + 1).map(zone => `<option value="${zone}" ${zone === 48 ? 'selected' : ''}>Zone ${zone}</option>`).join('')}
+                </select>
+                <select id="importUTMHemisphere" class="status-dropdown settings-input">
+                    <option value="6">North</option>
+                    <option value="7">South</option>
+                </select>
+            </div>
+            <p class="dialog-hint">${detected.length > 0 ? `Detected: ${detected.join('; ')}. ` : ''}Files that declare a coordinate system always use it.</p>
+        `, 'Import');
+        
+        const modeSelect = document.getElementById('sequenceIdMode');
+        const propertySelect = document.getElementById('sequenceIdProperty');
+        const templateInput = document.getElementById('sequenceIdTemplate');
+        const preview = document.getElementById('sequenceIdPreview');
+        const crsSelect = document.getElementById('importCRS');
+        const utmOptions = document.getElementById('importUTMOptions');
+        
+        // UTM zones are picked by number and hemisphere (EPSG:326zz north, EPSG:327zz south)
+        const readCRS = () => {
+            if (crsSelect.value !== 'utm') return crsSelect.value;
+            const zone = String(document.getElementById('importUTMZone').value).padStart(2, '0');
+            return `EPSG:32${document.getElementById('importUTMHemisphere').value}${zone}`;
+        };
+        const updateCRSOptions = () => {
+            utmOptions.style.display = crsSelect.value === 'utm' ? 'flex' : 'none';
+        };
+        crsSelect.addEventListener('change', updateCRSOptions);
+        updateCRSOptions();
         
-        // Parse tracks
-        const tracks = xmlDoc.getElementsByTagName('trk');
-        for (const track of tracks) {
-            const segments = track.getElementsByTagName('trkseg');
-            for (const segment of segments) {
-                const points = segment.getElementsByTagName('trkpt');
-                const coordinates = [];
-                
-                for (const point of points) {
-                    const lat = parseFloat(point.getAttribute('lat'));
-                    const lon = parseFloat(point.getAttribute('lon'));
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        coordinates.push([lon, lat]);
-                    }
+        const readMapping = () => ({
+            mode: modeSelect.value,
+            property: propertySelect.value,
+            template: templateInput.value.trim()
+        });
+        // Counting runs in the parser (which holds all rows); only the latest answer is shown
+        let previewRequest = 0;
+        const updatePreview = async () => {
+            const current = readMapping();
+            propertySelect.style.display = current.mode === 'property' ? 'block' : 'none';
+            templateInput.style.display = current.mode === 'template' ? 'block' : 'none';
+            const request = ++previewRequest;
+            preview.textContent = 'Preview: counting sequences...';
+            try {
+                const count = await this.parserRequest('count', { mapping: current, columns });
+                if (request === previewRequest) {
+                    preview.textContent = `Preview: ${count} sequence(s) in this import`;
                 }
-                
-                if (coordinates.length > 0) {
-                    features.push({
-                        type: 'Feature',
-                        geometry: {
-                            type: 'LineString',
-                            coordinates: coordinates
-                        },
-                        properties: {
-                            sequence_id: this.extractSequenceIdFromGPX(track) || `gpx_track_${features.length + 1}`
-                        }
-                    });
+            } catch (error) {
+                if (request === previewRequest) {
+                    preview.textContent = `Preview unavailable: ${error.message}`;
                 }
             }
-        }
+        };
         
-        // Parse routes
-        const routes = xmlDoc.getElementsByTagName('rte');
-        for (const route of routes) {
-            const points = route.getElementsByTagName('rtept');
-            const coordinates = [];
-            
-            for (const point of points) {
-                const lat = parseFloat(point.getAttribute('lat'));
-                const lon = parseFloat(point.getAttribute('lon'));
-                if (!isNaN(lat) && !isNaN(lon)) {
-                    coordinates.push([lon, lat]);
-                }
-            }
-            
-            if (coordinates.length > 0) {
-                features.push({
-                    type: 'Feature',
-                    geometry: {
-                        type: 'LineString',
-                        coordinates: coordinates
-                    },
-                    properties: {
-                        sequence_id: this.extractSequenceIdFromGPX(route) || `gpx_route_${features.length + 1}`
-                    }
-                });
-            }
-        }
+        modeSelect.addEventListener('change', updatePreview);
+        propertySelect.addEventListener('change', updatePreview);
+        templateInput.addEventListener('input', updatePreview);
+        updatePreview();
         
-        // Parse waypoints as points
-        const waypoints = xmlDoc.getElementsByTagName('wpt');
-        for (const waypoint of waypoints) {
-            const lat = parseFloat(waypoint.getAttribute('lat'));
-            const lon = parseFloat(waypoint.getAttribute('lon'));
-            if (!isNaN(lat) && !isNaN(lon)) {
-                const nameEl = waypoint.getElementsByTagName('name')[0];
-                const name = nameEl ? nameEl.textContent : '';
-                
-                features.push({
-                    type: 'Feature',
-                    geometry: {
-                        type: 'Point',
-                        coordinates: [lon, lat]
-                    },
-                    properties: {
-                        name: name,
-                        sequence_id: name || `gpx_waypoint_${features.length + 1}`
-                    }
-                });
-            }
-        }
+        const body = await dialog;
+        if (!body) return null;
         
-        return {
-            type: 'FeatureCollection',
-            features: features
-        };
+        this.sequenceIdMapping = readMapping();
+        await this.saveSettings();
+        return { mapping: this.sequenceIdMapping, crs: readCRS() };
     }
 
-    extractSequenceIdFromGPX(element) {
-        // Try to find sequence ID in name, desc, or extensions
-        const nameEl = element.getElementsByTagName('name')[0];
-        if (nameEl) {
-            const name = nameEl.textContent.trim();
-            // Check if name contains a sequence ID pattern
-            const seqMatch = name.match(/(?:sequence[_\s]?id|seq[_\s]?id|id)[:\s=]+(\d+)/i);
-            if (seqMatch) {
-                return seqMatch[1];
-            }
-            // If name is just a number, use it as sequence ID
-            if (/^\d+$/.test(name)) {
-                return name;
-            }
-        }
-        return null;
+    getPreservedState(saved) {
+        // User-entered state that must survive re-grouping sequences (new uploads, reloads)
+        return {
+            status: saved?.status || '', // blank = active
+            skipReason: saved?.skipReason || '',
+            notes: saved?.notes || '',
+            completedAt: saved?.completedAt || null,
+            date: saved?.date || new Date().toLocaleDateString()
+        };
     }
 
-    parseCSV(csvText) {
-        // Synchronous version for small files (< 100 rows)
-        return this.parseCSVSync(csvText);
+    getCSVHeaderSignature(header) {
+        return header.map(col => col.trim().toLowerCase()).join('|');
     }
 
-    async parseCSVAsync(csvText, progressCallback) {
-        // Async version for large files - processes in chunks
-        const lines = csvText.split('\n').filter(line => line.trim());
-        if (lines.length < 2) {
-            throw new Error('CSV file must have at least a header row and one data row');
+    async promptCSVColumnMapping(item) {
+        // Column-mapping step for a CSV upload - resolves with column indexes, or null if cancelled
+        const { header, sampleRows } = item.csv;
+        const signature = this.getCSVHeaderSignature(header);
+        const saved = this.csvColumnMappings[signature];
+        const roles = [
+            { key: 'latLongArray', label: 'Coordinate array (lat_long_array)' },
+            { key: 'geometry', label: 'Geometry (WKT or encoded polyline)' },
+            { key: 'lat', label: 'Latitude (or northing / Y)' },
+            { key: 'lon', label: 'Longitude (or easting / X)' },
+            { key: 'sequence', label: 'Sequence ID' },
+            { key: 'timestamp', label: 'Timestamp' }
+        ];
+        
+        // Saved mappings store column names, so they still apply if the columns are reordered
+        let columns = featureParser.detectCSVColumns(header);
+        if (saved) {
+            columns = {};
+            roles.forEach(role => {
+                columns[role.key] = saved[role.key] ? header.findIndex(col => col.trim() === saved[role.key]) : -1;
+            });
         }
-
-        // Parse header
-        const header = this.parseCSVLine(lines[0]);
-        
-        // Find columns (case-insensitive)
-        let latLongArrayIndex = -1;
-        let latIndex = -1;
-        let lonIndex = -1;
-        let sequenceIdIndex = -1;
+        // Minutes between timestamps at which a sequence is split into separate ways (0 = never)
+        columns.splitGap = saved && saved.splitGap > 0 ? saved.splitGap : 0;
         
-        const latLongArrayNames = ['lat_long_array', 'latlongarray', 'coordinates', 'coords', 'points'];
-        const latNames = ['lat', 'latitude', 'y', 'ycoord'];
-        const lonNames = ['lon', 'lng', 'longitude', 'long', 'x', 'xcoord'];
-        const seqIdNames = ['offroad_sequence_id', 'sequence_id', 'sequenceid', 'sequence', 'seq', 'id'];
-        
-        header.forEach((col, index) => {
-            const colLower = col.toLowerCase().trim();
-            if (latLongArrayIndex === -1 && latLongArrayNames.some(name => colLower === name)) {
-                latLongArrayIndex = index;
-            }
-            if (latIndex === -1 && latNames.some(name => colLower.includes(name))) {
-                latIndex = index;
-            }
-            if (lonIndex === -1 && lonNames.some(name => colLower.includes(name))) {
-                lonIndex = index;
-            }
-            if (sequenceIdIndex === -1 && seqIdNames.some(name => colLower === name)) {
-                sequenceIdIndex = index;
-            }
-        });
-
-        // Check if we have lat_long_array format or separate lat/lon columns
-        if (latLongArrayIndex === -1 && (latIndex === -1 || lonIndex === -1)) {
-            throw new Error('CSV must contain either:\n1. A lat_long_array column with coordinate arrays, OR\n2. Separate latitude and longitude columns');
-        }
-
-        // Group rows by sequence ID - process in chunks
-        const sequenceMap = new Map();
-        const totalRows = lines.length - 1;
-        const chunkSize = 50; // Process 50 rows at a time
+        let errorMessage = '';
         
-        for (let start = 1; start < lines.length; start += chunkSize) {
-            const end = Math.min(start + chunkSize, lines.length);
-            
-            for (let i = start; i < end; i++) {
-                const row = this.parseCSVLine(lines[i]);
-                if (row.length === 0) continue;
-                
-                // Get sequence ID
-                let sequenceId;
-                if (sequenceIdIndex >= 0 && row[sequenceIdIndex] && row[sequenceIdIndex].trim()) {
-                    sequenceId = String(row[sequenceIdIndex]).trim();
-                } else {
-                    const groupIndex = header.findIndex(col => col.toLowerCase().trim() === 'group');
-                    if (groupIndex >= 0 && row[groupIndex] && row[groupIndex].trim()) {
-                        sequenceId = String(row[groupIndex]).trim();
-                    } else {
-                        sequenceId = `csv_sequence_${i}`;
-                    }
-                }
-                
-                if (!sequenceMap.has(sequenceId)) {
-                    sequenceMap.set(sequenceId, {
-                        id: sequenceId,
-                        coordinates: [],
-                        properties: {},
-                        rowCount: 0
-                    });
-                }
-                
-                const sequence = sequenceMap.get(sequenceId);
-                sequence.rowCount++;
-                
-                // Merge properties
-                if (sequence.rowCount === 1) {
-                    header.forEach((colName, idx) => {
-                        if (row[idx] && row[idx].trim()) {
-                            sequence.properties[colName.trim()] = row[idx].trim();
-                        }
-                    });
-                } else {
-                    header.forEach((colName, idx) => {
-                        const colLower = colName.toLowerCase().trim();
-                        if (row[idx] && row[idx].trim()) {
-                            if (colLower === 'bookingcodes' || colLower === 'wheels') {
-                                try {
-                                    const existing = JSON.parse(sequence.properties[colName] || '[]');
-                                    const newArray = JSON.parse(row[idx].trim());
-                                    if (Array.isArray(existing) && Array.isArray(newArray)) {
-                                        const merged = [...new Set([...existing, ...newArray])];
-                                        sequence.properties[colName] = JSON.stringify(merged);
-                                    }
-                                } catch (e) {
-                                    // Keep existing value if merge fails
-                                }
-                            }
-                        }
-                    });
-                }
-                
-                // Extract coordinates
-                let rowCoordinates = [];
-                if (latLongArrayIndex >= 0 && row[latLongArrayIndex]) {
-                    try {
-                        const arrayStr = row[latLongArrayIndex].trim();
-                        const coordArray = JSON.parse(arrayStr);
-                        if (Array.isArray(coordArray)) {
-                            rowCoordinates = coordArray.map(coord => {
-                                if (Array.isArray(coord) && coord.length >= 2) {
-                                    return [parseFloat(coord[1]), parseFloat(coord[0])];
-                                }
-                                return null;
-                            }).filter(coord => coord !== null && !isNaN(coord[0]) && !isNaN(coord[1]));
-                        }
-                    } catch (e) {
-                        // Skip invalid coordinates
-                    }
-                } else if (latIndex >= 0 && lonIndex >= 0) {
-                    const lat = parseFloat(row[latIndex]);
-                    const lon = parseFloat(row[lonIndex]);
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        rowCoordinates = [[lon, lat]];
-                    }
-                }
-                
-                if (rowCoordinates.length > 0) {
-                    sequence.coordinates.push(...rowCoordinates);
-                }
-            }
-            
-            // Update progress and yield to browser
-            if (progressCallback) {
-                const progress = Math.round(((end - 1) / totalRows) * 100);
-                progressCallback(progress);
-            }
+        while (true) {
+            const body = await this.showDialog(`🧭 CSV Columns - ${this.escapeXml(item.fileName)}`, `
+                <div class="csv-preview">
+                    <table class="status-history-table">
+                        <thead><tr>${header.map(col => `<th>${this.escapeXml(col)}</th>`).join('')}</tr></thead>
+                        <tbody>
+                            ${sampleRows.map(row => `<tr>${header.map((col, idx) => `<td>${this.escapeXml(row[idx] || '')}</td>`).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${roles.map(role => `
+                    <label class="status-label" for="csvColumn_${role.key}">${role.label}</label>
+                    <select id="csvColumn_${role.key}" class="status-dropdown settings-input">
+                        <option value="-1">— None —</option>
+                        ${header.map((col, idx) => `<option value="${idx}" ${columns[role.key] === idx ? 'selected' : ''}>${this.escapeXml(col)}</option>`).join('')}
+                    </select>
+                `).join('')}
+                <label class="status-label" for="csvSplitGap">Split into separate ways at time gaps longer than (minutes)</label>
+                <input type="number" id="csvSplitGap" class="settings-input" min="0" step="any" placeholder="Never" value="${columns.splitGap || ''}">
+                <p class="dialog-hint">Choose a coordinate array column, a geometry column, or latitude and longitude columns. With a timestamp column, points are sorted by time.${saved ? ' Pre-filled with the mapping saved for these columns.' : ''}</p>
+                ${errorMessage ? `<p class="dialog-error">${this.escapeXml(errorMessage)}</p>` : ''}
+            `, 'Continue');
             
-            // Yield to browser to prevent blocking
-            await new Promise(resolve => setTimeout(resolve, 0));
-        }
-
-        // Convert sequences to features
-        const features = [];
-        sequenceMap.forEach((sequence) => {
-            if (sequence.coordinates.length === 0) return;
+            if (!body) return null;
             
-            sequence.properties.sequence_id = sequence.id;
+            roles.forEach(role => {
+                columns[role.key] = parseInt(body.querySelector(`#csvColumn_${role.key}`).value);
+            });
+            const splitGap = parseFloat(body.querySelector('#csvSplitGap').value);
+            columns.splitGap = splitGap > 0 ? splitGap : 0;
             
-            if (sequence.coordinates.length === 1) {
-                features.push({
-                    type: 'Feature',
-                    geometry: {
-                        type: 'Point',
-                        coordinates: sequence.coordinates[0]
-                    },
-                    properties: sequence.properties
-                });
+            const hasGeometryColumn = columns.latLongArray !== -1 || columns.geometry !== -1;
+            if (!hasGeometryColumn && (columns.lat === -1 || columns.lon === -1)) {
+                errorMessage = 'Select a coordinate array or geometry column, or both a latitude and a longitude column.';
+            } else if (!hasGeometryColumn && columns.lat === columns.lon) {
+                errorMessage = 'Latitude and longitude must be different columns.';
+            } else if (columns.splitGap > 0 && columns.timestamp === -1) {
+                errorMessage = 'Select a timestamp column to split at time gaps.';
             } else {
-                features.push({
-                    type: 'Feature',
-                    geometry: {
-                        type: 'LineString',
-                        coordinates: sequence.coordinates
-                    },
-                    properties: sequence.properties
-                });
+                break;
             }
-        });
-
-        return {
-            type: 'FeatureCollection',
-            features: features
-        };
-    }
-
-    parseCSVSync(csvText) {
-        // Synchronous version for small files
-        const lines = csvText.split('\n').filter(line => line.trim());
-        if (lines.length < 2) {
-            throw new Error('CSV file must have at least a header row and one data row');
         }
-
-        const header = this.parseCSVLine(lines[0]);
-        
-        let latLongArrayIndex = -1;
-        let latIndex = -1;
-        let lonIndex = -1;
-        let sequenceIdIndex = -1;
-        
-        const latLongArrayNames = ['lat_long_array', 'latlongarray', 'coordinates', 'coords', 'points'];
-        const latNames = ['lat', 'latitude', 'y', 'ycoord'];
-        const lonNames = ['lon', 'lng', 'longitude', 'long', 'x', 'xcoord'];
-        const seqIdNames = ['offroad_sequence_id', 'sequence_id', 'sequenceid', 'sequence', 'seq', 'id'];
         
-        header.forEach((col, index) => {
-            const colLower = col.toLowerCase().trim();
-            if (latLongArrayIndex === -1 && latLongArrayNames.some(name => colLower === name)) {
-                latLongArrayIndex = index;
-            }
-            if (latIndex === -1 && latNames.some(name => colLower.includes(name))) {
-                latIndex = index;
-            }
-            if (lonIndex === -1 && lonNames.some(name => colLower.includes(name))) {
-                lonIndex = index;
-            }
-            if (sequenceIdIndex === -1 && seqIdNames.some(name => colLower === name)) {
-                sequenceIdIndex = index;
-            }
+        // Remember by column name for the next file with the same header
+        const mapping = {};
+        roles.forEach(role => {
+            mapping[role.key] = columns[role.key] >= 0 ? header[columns[role.key]].trim() : '';
         });
-
-        if (latLongArrayIndex === -1 && (latIndex === -1 || lonIndex === -1)) {
-            throw new Error('CSV must contain either:\n1. A lat_long_array column with coordinate arrays, OR\n2. Separate latitude and longitude columns');
-        }
-
-        const sequenceMap = new Map();
+        mapping.splitGap = columns.splitGap;
+        this.csvColumnMappings[signature] = mapping;
+        await this.saveSettings();
         
-        for (let i = 1; i < lines.length; i++) {
-            const row = this.parseCSVLine(lines[i]);
-            if (row.length === 0) continue;
-            
-            let sequenceId;
-            if (sequenceIdIndex >= 0 && row[sequenceIdIndex] && row[sequenceIdIndex].trim()) {
-                sequenceId = String(row[sequenceIdIndex]).trim();
-            } else {
-                const groupIndex = header.findIndex(col => col.toLowerCase().trim() === 'group');
-                if (groupIndex >= 0 && row[groupIndex] && row[groupIndex].trim()) {
-                    sequenceId = String(row[groupIndex]).trim();
-                } else {
-                    sequenceId = `csv_sequence_${i}`;
-                }
-            }
-            
-            if (!sequenceMap.has(sequenceId)) {
-                sequenceMap.set(sequenceId, {
-                    id: sequenceId,
-                    coordinates: [],
-                    properties: {},
-                    rowCount: 0
-                });
-            }
-            
-            const sequence = sequenceMap.get(sequenceId);
-            sequence.rowCount++;
-            
-            if (sequence.rowCount === 1) {
-                header.forEach((colName, idx) => {
-                    if (row[idx] && row[idx].trim()) {
-                        sequence.properties[colName.trim()] = row[idx].trim();
-                    }
-                });
-            } else {
-                header.forEach((colName, idx) => {
-                    const colLower = colName.toLowerCase().trim();
-                    if (row[idx] && row[idx].trim()) {
-                        if (colLower === 'bookingcodes' || colLower === 'wheels') {
-                            try {
-                                const existing = JSON.parse(sequence.properties[colName] || '[]');
-                                const newArray = JSON.parse(row[idx].trim());
-                                if (Array.isArray(existing) && Array.isArray(newArray)) {
-                                    const merged = [...new Set([...existing, ...newArray])];
-                                    sequence.properties[colName] = JSON.stringify(merged);
-                                }
-                            } catch (e) {
-                                // Keep existing value
-                            }
-                        }
-                    }
-                });
-            }
-            
-            let rowCoordinates = [];
-            if (latLongArrayIndex >= 0 && row[latLongArrayIndex]) {
-                try {
-                    const arrayStr = row[latLongArrayIndex].trim();
-                    const coordArray = JSON.parse(arrayStr);
-                    if (Array.isArray(coordArray)) {
-                        rowCoordinates = coordArray.map(coord => {
-                            if (Array.isArray(coord) && coord.length >= 2) {
-                                return [parseFloat(coord[1]), parseFloat(coord[0])];
-                            }
-                            return null;
-                        }).filter(coord => coord !== null && !isNaN(coord[0]) && !isNaN(coord[1]));
-                    }
-                } catch (e) {
-                    // Skip invalid
-                }
-            } else if (latIndex >= 0 && lonIndex >= 0) {
-                const lat = parseFloat(row[latIndex]);
-                const lon = parseFloat(row[lonIndex]);
-                if (!isNaN(lat) && !isNaN(lon)) {
-                    rowCoordinates = [[lon, lat]];
-                }
-            }
-            
-            if (rowCoordinates.length > 0) {
-                sequence.coordinates.push(...rowCoordinates);
-            }
-        }
-
-        const features = [];
-        sequenceMap.forEach((sequence) => {
-            if (sequence.coordinates.length === 0) return;
-            
-            sequence.properties.sequence_id = sequence.id;
-            
-            if (sequence.coordinates.length === 1) {
-                features.push({
-                    type: 'Feature',
-                    geometry: {
-                        type: 'Point',
-                        coordinates: sequence.coordinates[0]
-                    },
-                    properties: sequence.properties
-                });
-            } else {
-                features.push({
-                    type: 'Feature',
-                    geometry: {
-                        type: 'LineString',
-                        coordinates: sequence.coordinates
-                    },
-                    properties: sequence.properties
-                });
-            }
-        });
-
-        return {
-            type: 'FeatureCollection',
-            features: features
-        };
-    }
-
-    parseCSVLine(line) {
-        // Simple CSV parser that handles quoted fields
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        result.push(current.trim());
-        
-        return result;
+        return columns;
     }
 
     getAllSequences() {
@@ -990,9 +1030,7 @@ class TaskManager {
 
         // Filter sequences based on search term
         const searchTerm = this.allTasksSearchTerm.toLowerCase().trim();
-        const filteredSequences = searchTerm 
-            ? allSequences.filter(seq => String(seq.id).toLowerCase().includes(searchTerm))
-            : allSequences;
+        const filteredSequences = this.filterSequencesBySearch(allSequences);
 
         if (taskCounter) {
             if (searchTerm) {
@@ -1041,9 +1079,19 @@ class TaskManager {
         `;
     }
 
+    filterSequencesBySearch(sequences) {
+        const searchTerm = this.allTasksSearchTerm.toLowerCase().trim();
+        return searchTerm 
+            ? sequences.filter(seq => String(seq.id).toLowerCase().includes(searchTerm))
+            : sequences;
+    }
+
     handleAllTasksSearch(searchTerm) {
         this.allTasksSearchTerm = searchTerm;
         
+        // Keep the overview map in sync with the search filter
+        this.renderOverviewMap();
+        
         // Get the search input element to preserve focus and cursor position
         const searchInput = document.getElementById('allTasksSearchInput');
         const wasFocused = document.activeElement === searchInput;
@@ -1097,12 +1145,17 @@ class TaskManager {
 
         // Render full list: Sequence ID + Status dropdown for each
         const viewName = this.currentView === 'done' ? 'Done' : 'Skipped';
-        const sequenceList = viewSequences.map(seq => {
+        const renderItem = (seq) => {
             const escapedId = String(seq.id).replace(/'/g, "\\'");
             const isTarget = this.navigatingToSequenceId && String(seq.id) === String(this.navigatingToSequenceId);
             return `
                 <div class="sequence-item-with-status" data-sequence-id="${seq.id}" ${isTarget ? 'data-highlight="true"' : ''}>
-                    <div class="sequence-id-display">${seq.id}</div>
+                    <div class="sequence-id-display">
+                        ${seq.id}
+                        ${seq.status === 'done' && seq.completedAt ? `<div class="sequence-completed-at">Completed ${new Date(seq.completedAt).toLocaleString()}</div>` : ''}
+                        ${this.renderSequenceNotesSummary(seq)}
+                    </div>
+                    <button class="btn-history" onclick="taskManager.showStatusHistory('${escapedId}')" title="Status history">🕘</button>
                     <select class="status-dropdown-inline" data-sequence-id="${seq.id}" onchange="taskManager.updateStatus('${escapedId}', this.value)">
                         <option value="" ${!seq.status || seq.status === '' ? 'selected' : ''}>Active (Blank)</option>
                         <option value="skipped" ${seq.status === 'skipped' ? 'selected' : ''}>Skipped</option>
@@ -1110,7 +1163,21 @@ class TaskManager {
                     </select>
                 </div>
             `;
-        }).join('');
+        };
+        
+        let sequenceList;
+        if (this.currentView === 'skipped') {
+            // Group skipped sequences by reason, with a count per group
+            sequenceList = this.getSkipReasonCounts(viewSequences).map(group => {
+                const groupSequences = viewSequences.filter(seq => (seq.skipReason || '') === group.reason);
+                return `
+                    <div class="skip-reason-group-header">${group.reason ? this.escapeXml(group.reason) : 'No reason'} (${group.count})</div>
+                    ${groupSequences.map(renderItem).join('')}
+                `;
+            }).join('');
+        } else {
+            sequenceList = viewSequences.map(renderItem).join('');
+        }
 
         taskDisplay.innerHTML = `
             <div class="simple-list-view">
@@ -1140,6 +1207,34 @@ class TaskManager {
         }
     }
 
+    renderSequenceNotesSummary(seq) {
+        // Notes shown under the sequence ID in list views (the Skipped list is already grouped by reason)
+        if (!seq.notes) return '';
+        
+        return `
+            <div class="sequence-notes-summary">
+                <div class="sequence-notes-text">${this.escapeXml(seq.notes)}</div>
+            </div>
+        `;
+    }
+
+    getSkipReasonCounts(sequences) {
+        // Count sequences per skip reason: configured reasons first (in order), then any others, then "no reason"
+        const counts = new Map();
+        sequences.forEach(seq => {
+            const reason = seq.skipReason || '';
+            counts.set(reason, (counts.get(reason) || 0) + 1);
+        });
+        
+        const orderedReasons = [
+            ...this.skipReasons.filter(reason => counts.has(reason)),
+            ...Array.from(counts.keys()).filter(reason => reason && !this.skipReasons.includes(reason)),
+            ...(counts.has('') ? [''] : [])
+        ];
+        
+        return orderedReasons.map(reason => ({ reason, count: counts.get(reason) }));
+    }
+
     renderDetailedView() {
         const taskDisplay = document.getElementById('taskDisplay');
         const prevBtn = document.getElementById('prevBtn');
@@ -1208,15 +1303,15 @@ class TaskManager {
                 <div class="task-details">
                     <div class="detail-item">
                         <div class="detail-label">Features</div>
-                        <div class="detail-value">${displaySequence.features ? this.calculateStats(displaySequence.features).features : (displaySequence.featureCount || 0)}</div>
+                        <div class="detail-value">${displaySequence.features ? featureParser.calculateStats(displaySequence.features).features : (displaySequence.featureCount || 0)}</div>
                     </div>
                     <div class="detail-item">
                         <div class="detail-label">Nodes</div>
-                        <div class="detail-value">${displaySequence.features ? this.calculateStats(displaySequence.features).nodes : (displaySequence.nodeCount || 0)}</div>
+                        <div class="detail-value">${displaySequence.features ? featureParser.calculateStats(displaySequence.features).nodes : (displaySequence.nodeCount || 0)}</div>
                     </div>
                     <div class="detail-item">
                         <div class="detail-label">Ways</div>
-                        <div class="detail-value">${displaySequence.features ? this.calculateStats(displaySequence.features).ways : (displaySequence.wayCount || 0)}</div>
+                        <div class="detail-value">${displaySequence.features ? featureParser.calculateStats(displaySequence.features).ways : (displaySequence.wayCount || 0)}</div>
                     </div>
                 </div>
 
@@ -1229,6 +1324,15 @@ class TaskManager {
                     </select>
                 </div>
 
+                <div class="notes-section">
+                    <label class="status-label" for="skipReasonDropdown">Skip Reason</label>
+                    <select id="skipReasonDropdown" class="status-dropdown">
+                        ${this.renderSkipReasonOptions(displaySequence.skipReason)}
+                    </select>
+                    <label class="status-label" for="notesInput">Notes</label>
+                    <textarea id="notesInput" class="notes-input" rows="3" placeholder="Add notes about this sequence...">${this.escapeXml(displaySequence.notes || '')}</textarea>
+                </div>
+
                 <div class="action-buttons">
                     <button class="action-btn btn-export" onclick="taskManager.exportToJOSM('${displaySequence.id}')">
                         📥 Export to JOSM
@@ -1236,6 +1340,12 @@ class TaskManager {
                     <button class="action-btn btn-preview" onclick="taskManager.previewSequence('${displaySequence.id}')">
                         👁️ Preview GeoJSON
                     </button>
+                    <button class="action-btn btn-preview" onclick="taskManager.exportToGPX('${displaySequence.id}')">
+                        📍 Export GPX
+                    </button>
+                    <button class="action-btn btn-preview" onclick="taskManager.showStatusHistory('${displaySequence.id}')">
+                        🕘 Status History
+                    </button>
                 </div>
             </div>
         `;
@@ -1247,6 +1357,34 @@ class TaskManager {
                 this.updateStatus(displaySequence.id, e.target.value);
             });
         }
+
+        // Add event listeners for skip reason and notes
+        const skipReasonDropdown = document.getElementById('skipReasonDropdown');
+        if (skipReasonDropdown) {
+            skipReasonDropdown.addEventListener('change', (e) => {
+                this.updateSkipReason(displaySequence.id, e.target.value);
+            });
+        }
+        const notesInput = document.getElementById('notesInput');
+        if (notesInput) {
+            notesInput.addEventListener('change', (e) => {
+                this.updateNotes(displaySequence.id, e.target.value);
+            });
+        }
+    }
+
+    renderSkipReasonOptions(selectedReason) {
+        const reasons = [...this.skipReasons];
+        // Keep a previously saved reason selectable even if it is not in the list
+        if (selectedReason && !reasons.includes(selectedReason)) {
+            reasons.push(selectedReason);
+        }
+        
+        return `<option value="" ${!selectedReason ? 'selected' : ''}>No reason</option>` +
+            reasons.map(reason => {
+                const escapedReason = this.escapeXml(reason);
+                return `<option value="${escapedReason}" ${reason === selectedReason ? 'selected' : ''}>${escapedReason}</option>`;
+            }).join('');
     }
 
     findNextActiveIndex() {
@@ -1273,7 +1411,41 @@ class TaskManager {
     async updateStatus(sequenceId, newStatus) {
         const sequence = this.sequences.find(s => String(s.id) === String(sequenceId));
         if (sequence) {
+            // Ask why when a sequence is being skipped
+            if (newStatus === 'skipped' && sequence.status !== 'skipped') {
+                const skipReason = await this.promptSkipReason(sequence);
+                if (skipReason === null) {
+                    // Cancelled - re-render so the status dropdown shows the unchanged status
+                    this.renderCurrentTask();
+                    return;
+                }
+                sequence.skipReason = skipReason;
+            }
+            
+            const oldStatus = sequence.status || '';
+            const timestamp = new Date().toISOString();
             sequence.status = newStatus;
+            if (newStatus === 'done') {
+                sequence.completedAt = timestamp;
+            } else if (oldStatus === 'done') {
+                sequence.completedAt = null;
+            }
+            
+            // Record the change in the audit log
+            if (oldStatus !== newStatus) {
+                try {
+                    await storageManager.addStatusChange({
+                        sequenceId: String(sequence.id),
+                        oldStatus: oldStatus,
+                        newStatus: newStatus,
+                        timestamp: timestamp,
+                        user: this.userName || null
+                    });
+                } catch (error) {
+                    console.error('Error recording status change:', error);
+                }
+            }
+            
             await this.saveToStorage();
             
             // If in 'all' view, stay in 'all' view (don't auto-switch)
@@ -1296,6 +1468,76 @@ class TaskManager {
         }
     }
 
+    async promptSkipReason(sequence) {
+        const body = await this.showDialog(`Skip Sequence ${this.escapeXml(sequence.id)}`, `
+            <label class="status-label" for="skipReasonPrompt">Why is this sequence being skipped?</label>
+            <select id="skipReasonPrompt" class="status-dropdown">
+                ${this.renderSkipReasonOptions(sequence.skipReason)}
+            </select>
+        `, 'Skip');
+        
+        if (!body) return null;
+        return body.querySelector('#skipReasonPrompt').value;
+    }
+
+    formatStatus(status) {
+        switch (status) {
+            case 'done':
+                return 'Done';
+            case 'skipped':
+                return 'Skipped';
+            default:
+                return 'Active';
+        }
+    }
+
+    async showStatusHistory(sequenceId) {
+        let history = [];
+        try {
+            history = await storageManager.loadStatusHistory(sequenceId);
+        } catch (error) {
+            console.error('Error loading status history:', error);
+        }
+        
+        const rows = history.map(entry => `
+            <tr>
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${this.formatStatus(entry.oldStatus)}</td>
+                <td>${this.formatStatus(entry.newStatus)}</td>
+                <td>${entry.user ? this.escapeXml(entry.user) : '—'}</td>
+            </tr>
+        `).join('');
+        
+        await this.showDialog(`🕘 Status History - ${this.escapeXml(sequenceId)}`, history.length === 0 ? `
+            <div class="empty-state">
+                <p>No status changes recorded yet.</p>
+            </div>
+        ` : `
+            <table class="status-history-table">
+                <thead>
+                    <tr><th>Time</th><th>From</th><th>To</th><th>User</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `, 'Close', false);
+    }
+
+    async updateSkipReason(sequenceId, skipReason) {
+        const sequence = this.sequences.find(s => String(s.id) === String(sequenceId));
+        if (sequence) {
+            sequence.skipReason = skipReason;
+            await this.saveToStorage();
+        }
+    }
+
+    async updateNotes(sequenceId, notes) {
+        const sequence = this.sequences.find(s => String(s.id) === String(sequenceId));
+        if (sequence) {
+            sequence.notes = notes.trim();
+            await this.saveToStorage();
+        }
+    }
+
     showPrevious() {
         const viewSequences = this.getCurrentViewSequences();
         if (viewSequences.length === 0) return;
@@ -1354,6 +1596,28 @@ class TaskManager {
         }
     }
 
+    exportToGPX(sequenceId) {
+        const sequence = this.sequences.find(s => String(s.id) === String(sequenceId));
+        if (!sequence) {
+            alert('Sequence not found');
+            return;
+        }
+
+        try {
+            const gpxXml = this.generateGPX(sequence);
+            
+            if (!gpxXml.includes('<trkpt') && !gpxXml.includes('<wpt')) {
+                alert('Error: Generated GPX contains no track points or waypoints. Please check your data.');
+                return;
+            }
+            
+            this.downloadFile(gpxXml, `sequence_${sequenceId}.gpx`, 'application/gpx+xml');
+        } catch (error) {
+            console.error('GPX export error:', error);
+            alert(`Error exporting sequence: ${error.message}`);
+        }
+    }
+
     calculateBoundingBox(sequence) {
         let minLat = Infinity, maxLat = -Infinity;
         let minLon = Infinity, maxLon = -Infinity;
@@ -1522,65 +1786,285 @@ class TaskManager {
         xml += `  <!-- Features: ${sequence.featureCount} -->\n`;
         xml += `  <!-- Generated: ${new Date().toISOString()} -->\n\n`;
 
+        const { nodes, ways } = this.getJOSMObjects(sequence);
+
+        // Write nodes
+        nodes.forEach(node => {
+            xml += `  <node id="${node.id}" lat="${node.lat.toFixed(7)}" lon="${node.lon.toFixed(7)}" version="1" />\n`;
+        });
+
+        xml += '\n';
+
+        // Write ways
+        ways.forEach(way => {
+            xml += `  <way id="${way.id}" version="1">\n`;
+
+            way.nodeIds.forEach(nodeId => {
+                xml += `    <nd ref="${nodeId}" />\n`;
+            });
+
+            // Only add highway tag (user requested only highway tag)
+            const highwayValue = way.feature.properties?.highway || 'unclassified';
+            xml += `    <tag k="highway" v="${this.escapeXml(String(highwayValue))}" />\n`;
+            xml += `  </way>\n`;
+        });
+
+        xml += '</osm>';
+        return xml;
+    }
+
+    getJOSMObjects(sequence) {
+        // The nodes and ways generateJOSM writes for a sequence, so an osmChange made from the export can be
+        // matched back (see applyOSMChange). Nodes are numbered from -1000 down, one per position (to 7
+        // decimals) in feature order; ways likewise, one per feature with two or more positions.
         let nodeId = -1000;
         let wayId = -1000;
         const nodeMap = new Map();
+        const ways = [];
+        const points = []; // { nodeId, feature } for Point features
 
-        // Process features and create nodes
         sequence.features.forEach(feature => {
             if (!feature.geometry) return;
 
-            const coords = this.extractCoordinates(feature.geometry);
-            
-            coords.forEach(coord => {
-                const [lon, lat] = coord;
-                const key = `${lat.toFixed(7)},${lon.toFixed(7)}`;
-                
-                if (!nodeMap.has(key)) {
-                    nodeMap.set(key, {
-                        id: nodeId--,
-                        lat: lat,
-                        lon: lon
-                    });
-                }
+            const nodeIds = this.extractCoordinates(feature.geometry).map(coord => {
+                const [lon, lat] = coord;
+                const key = `${lat.toFixed(7)},${lon.toFixed(7)}`;
+                if (!nodeMap.has(key)) {
+                    nodeMap.set(key, { id: nodeId--, lat: lat, lon: lon, coord: coord });
+                }
+                return nodeMap.get(key).id;
+            });
+
+            if (nodeIds.length >= 2) {
+                ways.push({ id: wayId--, nodeIds: nodeIds, feature: feature });
+            } else if (nodeIds.length === 1) {
+                points.push({ nodeId: nodeIds[0], feature: feature });
+            }
+        });
+
+        return { nodes: Array.from(nodeMap.values()), ways, points };
+    }
+
+    applyOSMChange(sequence, change) {
+        // Applies an osmChange made from the sequence's JOSM export (see featureParser.parseOSMChange) to its
+        // current geometry and returns the new features. Features keep their properties, with per-point
+        // arrays following the vertices (see alignPointArrays); new ways and tagged nodes become features.
+        const exported = this.getJOSMObjects(sequence);
+        const nodes = new Map();
+        exported.nodes.forEach(node => nodes.set(String(node.id), { ...node, point: null }));
+        exported.points.forEach(point => {
+            nodes.get(String(point.nodeId)).point = point.feature;
+        });
+        const ways = new Map(exported.ways.map(way => [String(way.id), { refs: way.nodeIds.map(String), tags: null, feature: way.feature }]));
+
+        // JOSM treats the exported objects as new (their ids are negative), so its osmChange "creates"
+        // every one still there and leaves deleted ones out - anything it doesn't mention is gone
+        if (change.create.nodes.some(node => nodes.has(node.id)) || change.create.ways.some(way => ways.has(way.id))) {
+            const writtenNodes = new Set(change.create.nodes.concat(change.modify.nodes).map(node => node.id));
+            const writtenWays = new Set(change.create.ways.concat(change.modify.ways).map(way => way.id));
+            Array.from(nodes.keys()).filter(id => !writtenNodes.has(id)).forEach(id => nodes.delete(id));
+            Array.from(ways.keys()).filter(id => !writtenWays.has(id)).forEach(id => ways.delete(id));
+        }
+
+        const missing = [];
+        change.modify.nodes.concat(change.delete.nodes).forEach(node => {
+            if (!nodes.has(node.id)) missing.push(`node ${node.id}`);
+        });
+        change.modify.ways.concat(change.delete.ways).forEach(way => {
+            if (!ways.has(way.id)) missing.push(`way ${way.id}`);
+        });
+
+        change.create.nodes.concat(change.modify.nodes).forEach(node => {
+            // Positions JOSM didn't move come back rounded to 7 decimals - keep the original ones
+            const previous = nodes.get(node.id);
+            const moved = !previous || previous.lat.toFixed(7) !== node.lat.toFixed(7) || previous.lon.toFixed(7) !== node.lon.toFixed(7);
+            nodes.set(node.id, {
+                coord: moved ? [node.lon, node.lat] : previous.coord,
+                tags: node.tags,
+                point: previous ? previous.point : null
             });
         });
+        change.create.ways.concat(change.modify.ways).forEach(way => {
+            const previous = ways.get(way.id);
+            ways.set(way.id, { refs: way.refs, tags: way.tags, feature: previous ? previous.feature : null });
+        });
+        change.delete.nodes.forEach(node => nodes.delete(node.id));
+        change.delete.ways.forEach(way => ways.delete(way.id));
 
-        // Write nodes
-        nodeMap.forEach(node => {
-            xml += `  <node id="${node.id}" lat="${node.lat.toFixed(7)}" lon="${node.lon.toFixed(7)}" version="1" />\n`;
+        ways.forEach(way => way.refs.forEach(ref => {
+            if (!nodes.has(ref)) missing.push(`node ${ref}`);
+        }));
+        if (missing.length > 0) {
+            const more = missing.length > 3 ? ` and ${missing.length - 3} more` : '';
+            throw new Error(`sequence ${sequence.id} has no ${missing.slice(0, 3).join(', ')}${more} - it changed since the export, so export it again and redo the edits`);
+        }
+
+        const features = [];
+        const used = new Set();
+        ways.forEach(way => {
+            way.refs.forEach(ref => used.add(ref));
+            const coordinates = way.refs.map(ref => nodes.get(ref).coord);
+            if (coordinates.length < 2) return;
+
+            const original = way.feature;
+            const closed = way.refs[0] === way.refs[way.refs.length - 1];
+            const geometry = original && original.geometry.type === 'Polygon' && closed ?
+                { type: 'Polygon', coordinates: [coordinates] } :
+                { type: 'LineString', coordinates: coordinates };
+            const properties = original ? this.alignPointArrays(original, geometry) : { sequence_id: sequence.id };
+            features.push({ type: 'Feature', geometry: geometry, properties: { ...properties, ...(way.tags || {}) } });
+        });
+        nodes.forEach((node, id) => {
+            if (used.has(id)) return;
+            if (node.point) {
+                features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: node.coord }, properties: { ...node.point.properties, ...(node.tags || {}) } });
+            } else if (node.tags && Object.keys(node.tags).length > 0) {
+                features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: node.coord }, properties: { sequence_id: sequence.id, ...node.tags } });
+            }
         });
 
-        xml += '\n';
+        if (features.length === 0) {
+            throw new Error(`the change would leave sequence ${sequence.id} without geometry`);
+        }
+        return features;
+    }
+
+    generateGPX(sequence) {
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += '<gpx version="1.1" creator="OSMAGIC Task Manager" xmlns="http://www.topografix.com/GPX/1/1"' +
+            ` xmlns:gpxtpx="${this.gpxExtensionNamespaces.gpxtpx}" xmlns:osmagic="${this.gpxExtensionNamespaces.osmagic}">\n`;
+        xml += '  <metadata>\n';
+        xml += `    <name>${this.escapeXml(`Sequence ${sequence.id}`)}</name>\n`;
+        xml += `    <time>${new Date().toISOString()}</time>\n`;
+        xml += '  </metadata>\n';
+
+        // GPX 1.1 requires waypoints before tracks, so collect them separately
+        let waypointsXml = '';
+        let tracksXml = '';
+        // Per-coordinate properties from import (see featureParser.parseGPX), one array per part for MultiLineStrings
+        const pointArrays = { time: 'coordTimes', hdop: 'coordHdops', speed: 'coordSpeeds', extensions: 'coordExtensions' };
 
-        // Process features and create ways
         sequence.features.forEach(feature => {
             if (!feature.geometry) return;
 
-            const coords = this.extractCoordinates(feature.geometry);
-            if (coords.length < 2) return; // Skip points for ways
+            const geometry = feature.geometry;
+            const properties = feature.properties || {};
 
-            xml += `  <way id="${wayId--}" version="1">\n`;
+            if (geometry.type === 'Point') {
+                waypointsXml += this.generateGPXPoint('wpt', geometry.coordinates, '  ', {
+                    time: properties.time,
+                    name: properties.name,
+                    hdop: properties.hdop,
+                    speed: properties.speed,
+                    extensions: properties.extensions
+                });
+                return;
+            }
 
-            coords.forEach(coord => {
-                const [lon, lat] = coord;
-                const key = `${lat.toFixed(7)},${lon.toFixed(7)}`;
-                const node = nodeMap.get(key);
-                if (node) {
-                    xml += `    <nd ref="${node.id}" />\n`;
-                }
-            });
+            // Each line feature becomes a track, with one segment per line part
+            let segments = [];
+            if (geometry.type === 'LineString') {
+                segments = [geometry.coordinates];
+            } else if (geometry.type === 'MultiLineString') {
+                segments = geometry.coordinates;
+            } else if (geometry.type === 'Polygon') {
+                segments = geometry.coordinates.slice(0, 1);
+            } else if (geometry.type === 'MultiPolygon') {
+                segments = geometry.coordinates.map(polygon => polygon[0]).filter(ring => ring);
+            }
+
+            segments = segments.filter(segment => Array.isArray(segment) && segment.length > 0);
+            if (segments.length === 0) return;
+
+            tracksXml += '  <trk>\n';
+            tracksXml += `    <name>${this.escapeXml(properties.name || `Sequence ${sequence.id}`)}</name>\n`;
+            segments.forEach((segment, segmentIndex) => {
+                // Only carry per-point values over when they still line up with the coordinates (edits can add/remove vertices)
+                const segmentValues = {};
+                Object.entries(pointArrays).forEach(([key, name]) => {
+                    let values = properties[name];
+                    if (geometry.type === 'MultiLineString') {
+                        values = Array.isArray(values) ? values[segmentIndex] : null;
+                    }
+                    if (Array.isArray(values) && values.length === segment.length) {
+                        segmentValues[key] = values;
+                    }
+                });
 
-            // Only add highway tag (user requested only highway tag)
-            const highwayValue = feature.properties?.highway || 'unclassified';
-            xml += `    <tag k="highway" v="${this.escapeXml(String(highwayValue))}" />\n`;
-            xml += `  </way>\n`;
+                tracksXml += '    <trkseg>\n';
+                segment.forEach((coord, index) => {
+                    const details = {};
+                    Object.keys(segmentValues).forEach(key => {
+                        details[key] = segmentValues[key][index];
+                    });
+                    tracksXml += this.generateGPXPoint('trkpt', coord, '      ', details);
+                });
+                tracksXml += '    </trkseg>\n';
+            });
+            tracksXml += '  </trk>\n';
         });
 
-        xml += '</osm>';
+        xml += waypointsXml;
+        xml += tracksXml;
+        xml += '</gpx>';
         return xml;
     }
 
+    generateGPXPoint(tagName, coord, indent, details = {}) {
+        // details: { time, name, hdop, speed, extensions }, written in the order the GPX 1.1 schema requires
+        const [lon, lat, ele] = coord;
+        const { time, name, hdop, speed } = details;
+        const children = [];
+
+        if (typeof ele === 'number' && !isNaN(ele)) {
+            children.push(`<ele>${ele}</ele>`);
+        }
+        if (time) {
+            const date = new Date(time);
+            if (!isNaN(date.getTime())) {
+                children.push(`<time>${date.toISOString()}</time>`);
+            }
+        }
+        if (name) {
+            children.push(`<name>${this.escapeXml(name)}</name>`);
+        }
+        if (typeof hdop === 'number' && !isNaN(hdop)) {
+            children.push(`<hdop>${hdop}</hdop>`);
+        }
+
+        // GPX 1.1 has no <speed> element, so speed goes into <extensions> with the other values. Values
+        // Garmin's TrackPointExtension defines are written there (in its schema order), so other apps read
+        // them back; anything else goes under our own namespace. Import flattens both by local name.
+        const extensions = { ...(details.extensions || {}) };
+        if (typeof speed === 'number' && !isNaN(speed)) {
+            extensions.speed = speed;
+        }
+        const entries = Object.entries(extensions)
+            .filter(([key, value]) => /^[A-Za-z_][\w.-]*$/.test(key) && value !== null && value !== undefined);
+        const isTrackPointValue = ([key, value]) => this.gpxTrackPointExtensionKeys.includes(key) && typeof value === 'number' && !isNaN(value);
+        const trackPointXml = entries
+            .filter(isTrackPointValue)
+            .sort(([a], [b]) => this.gpxTrackPointExtensionKeys.indexOf(a) - this.gpxTrackPointExtensionKeys.indexOf(b))
+            .map(([key, value]) => `<gpxtpx:${key}>${value}</gpxtpx:${key}>`)
+            .join('');
+        let extensionsXml = trackPointXml ? `<gpxtpx:TrackPointExtension>${trackPointXml}</gpxtpx:TrackPointExtension>` : '';
+        extensionsXml += entries
+            .filter(entry => !isTrackPointValue(entry))
+            .map(([key, value]) => `<osmagic:${key}>${this.escapeXml(String(value))}</osmagic:${key}>`)
+            .join('');
+        if (extensionsXml) {
+            children.push(`<extensions>${extensionsXml}</extensions>`);
+        }
+
+        const attributes = `lat="${lat.toFixed(7)}" lon="${lon.toFixed(7)}"`;
+        if (children.length === 0) {
+            return `${indent}<${tagName} ${attributes} />\n`;
+        }
+        return `${indent}<${tagName} ${attributes}>\n` +
+            children.map(child => `${indent}  ${child}\n`).join('') +
+            `${indent}</${tagName}>\n`;
+    }
+
     extractCoordinates(geometry) {
         const coords = [];
 
@@ -1637,8 +2121,9 @@ class TaskManager {
 
         this.currentPreviewSequence = sequence;
         this.previewEditMode = false;
-        this.originalPreviewFeatures = JSON.parse(JSON.stringify(sequence.features)); // Deep copy for revert
         this.editableLayers = [];
+        // Layers are recreated below, so commands recorded against the old layers no longer apply
+        this.clearPreviewHistory();
         
         document.getElementById('previewSequenceId').textContent = sequenceId;
         
@@ -1655,6 +2140,8 @@ class TaskManager {
         document.getElementById('toggleEditModeBtn').textContent = '✏️ Enable Edit Mode';
         document.getElementById('saveEditsBtn').style.display = 'none';
         document.getElementById('revertEditsBtn').style.display = 'none';
+        document.getElementById('undoEditBtn').style.display = 'none';
+        document.getElementById('redoEditBtn').style.display = 'none';
         
         // Show modal
         const modal = document.getElementById('previewModal');
@@ -1787,6 +2274,7 @@ class TaskManager {
                             layer._isDragging = true;
                             layer._wayDragStartLatLng = e.latlng; // Store initial click position
                             layer._originalLatLngs = this.flattenLatLngs(layer.getLatLngs());
+                            layer._geometryBeforeDrag = this.snapshotLayerGeometry(layer); // For undo
                             // Map dragging is already disabled in edit mode, but ensure it stays disabled
                             this.map.dragging.disable();
                             L.DomEvent.stopPropagation(e);
@@ -1839,6 +2327,16 @@ class TaskManager {
                                 this.updateVertexMarkers(layer, currentLatLngs);
                             }
                             
+                            // Record the way drag for undo
+                            if (layer._geometryBeforeDrag) {
+                                this.recordPreviewEdit('Move way', [{
+                                    layer: layer,
+                                    before: layer._geometryBeforeDrag,
+                                    after: this.snapshotLayerGeometry(layer)
+                                }]);
+                                layer._geometryBeforeDrag = null;
+                            }
+                            
                             layer._originalLatLngs = null;
                             // Map dragging stays disabled in edit mode (we'll re-enable when exiting edit mode)
                         }
@@ -1888,9 +2386,11 @@ class TaskManager {
                         
                         // Insert new node
                         if (insertIndex > 0) {
+                            const before = this.snapshotLayerGeometry(layer);
                             latlngs.splice(insertIndex, 0, clickLatLng);
                             layer.setLatLngs(layer instanceof L.Polygon ? [latlngs] : latlngs);
                             this.updateVertexMarkers(layer, latlngs);
+                            this.recordPreviewEdit('Insert vertex', [{ layer, before, after: this.snapshotLayerGeometry(layer) }]);
                         }
                     });
                     
@@ -1904,6 +2404,23 @@ class TaskManager {
                 } else if (layer instanceof L.Marker) {
                     console.log(`  - Processing as Marker`);
                     layer.dragging.enable();
+                    
+                    // Record point moves for undo
+                    layer._undoDragStartHandler = () => {
+                        layer._geometryBeforeDrag = this.snapshotLayerGeometry(layer);
+                    };
+                    layer._undoDragEndHandler = () => {
+                        if (layer._geometryBeforeDrag) {
+                            this.recordPreviewEdit('Move point', [{
+                                layer: layer,
+                                before: layer._geometryBeforeDrag,
+                                after: this.snapshotLayerGeometry(layer)
+                            }]);
+                            layer._geometryBeforeDrag = null;
+                        }
+                    };
+                    layer.on('dragstart', layer._undoDragStartHandler);
+                    layer.on('dragend', layer._undoDragEndHandler);
                     layersProcessed++;
                 } else {
                     console.log(`  - Skipping layer (not Polyline/Polygon/Marker)`);
@@ -1920,6 +2437,8 @@ class TaskManager {
                 document.getElementById('toleranceInput').style.display = 'none';
                 document.getElementById('saveEditsBtn').style.display = 'none';
                 document.getElementById('revertEditsBtn').style.display = 'none';
+                document.getElementById('undoEditBtn').style.display = 'none';
+                document.getElementById('redoEditBtn').style.display = 'none';
                 return;
             }
             
@@ -1927,7 +2446,14 @@ class TaskManager {
             document.getElementById('simplifyBtn').style.display = 'inline-block';
             document.getElementById('toleranceInput').style.display = 'inline-block';
             document.getElementById('saveEditsBtn').style.display = 'inline-block';
-            document.getElementById('revertEditsBtn').style.display = 'inline-block';
+            const revertBtn = document.getElementById('revertEditsBtn');
+            revertBtn.style.display = 'inline-block';
+            // Nothing to revert to when the uploaded features of this sequence are not loaded
+            revertBtn.disabled = !this.hasOriginalFeatures(this.currentPreviewSequence);
+            revertBtn.title = revertBtn.disabled ? 'The original upload of this sequence is not loaded' : '';
+            document.getElementById('undoEditBtn').style.display = 'inline-block';
+            document.getElementById('redoEditBtn').style.display = 'inline-block';
+            this.updateUndoRedoButtons();
         } else {
             // Disable editing - remove vertex markers and event handlers
             // Re-enable map dragging
@@ -1957,6 +2483,10 @@ class TaskManager {
                     layer.setStyle({ weight: 4, opacity: 0.8, cursor: '' });
                 } else if (layer instanceof L.Marker) {
                     layer.dragging.disable();
+                    if (layer._undoDragStartHandler) {
+                        layer.off('dragstart', layer._undoDragStartHandler);
+                        layer.off('dragend', layer._undoDragEndHandler);
+                    }
                 }
             });
             
@@ -1965,6 +2495,8 @@ class TaskManager {
             document.getElementById('toleranceInput').style.display = 'none';
             document.getElementById('saveEditsBtn').style.display = 'none';
             document.getElementById('revertEditsBtn').style.display = 'none';
+            document.getElementById('undoEditBtn').style.display = 'none';
+            document.getElementById('redoEditBtn').style.display = 'none';
         }
     }
 
@@ -2087,9 +2619,11 @@ class TaskManager {
                     e.originalEvent.preventDefault();
                     
                     if (latlngs.length > 2) { // Keep at least 2 points
+                        const before = this.snapshotLayerGeometry(layer);
                         latlngs.splice(index, 1);
                         layer.setLatLngs(layer instanceof L.Polygon ? [latlngs] : latlngs);
                         this.updateVertexMarkers(layer, latlngs);
+                        this.recordPreviewEdit('Delete vertex', [{ layer, before, after: this.snapshotLayerGeometry(layer) }]);
                     } else {
                         alert('Cannot delete node. A line must have at least 2 points.');
                     }
@@ -2109,6 +2643,8 @@ class TaskManager {
                 // Mark as dragging
                 marker._isDragging = true;
                 marker._hasMoved = true;
+                // Remember the geometry before the move for undo
+                marker._geometryBeforeDrag = this.snapshotLayerGeometry(layer);
                 
                 // Clear click timeout since this is a drag
                 if (marker._clickTimeout) {
@@ -2145,6 +2681,15 @@ class TaskManager {
                 marker._hasMoved = false;
                 // Stop propagation
                 L.DomEvent.stopPropagation(e);
+                // Record the vertex move for undo
+                if (marker._geometryBeforeDrag) {
+                    this.recordPreviewEdit('Move vertex', [{
+                        layer: layer,
+                        before: marker._geometryBeforeDrag,
+                        after: this.snapshotLayerGeometry(layer)
+                    }]);
+                    marker._geometryBeforeDrag = null;
+                }
                 // Map dragging stays disabled in edit mode (we'll re-enable when exiting edit mode)
             });
             
@@ -2288,6 +2833,7 @@ class TaskManager {
         
         let totalNodesBefore = 0;
         let totalNodesAfter = 0;
+        const changes = []; // Recorded as a single undoable command
         
         // Simplify each layer
         this.editableLayers.forEach((layer) => {
@@ -2299,6 +2845,7 @@ class TaskManager {
                 }
                 
                 totalNodesBefore += latlngs.length;
+                const before = this.snapshotLayerGeometry(layer);
                 
                 // Convert to [lng, lat] format for algorithm
                 const points = latlngs.map(ll => {
@@ -2328,13 +2875,109 @@ class TaskManager {
                 
                 // Update vertex markers
                 this.updateVertexMarkers(layer, simplifiedLatLngs);
+                
+                changes.push({ layer, before, after: this.snapshotLayerGeometry(layer) });
             }
         });
         
+        this.recordPreviewEdit('Simplify geometry', changes);
+        
         const reduction = totalNodesBefore > 0 ? ((totalNodesBefore - totalNodesAfter) / totalNodesBefore * 100).toFixed(1) : 0;
         alert(`✅ Geometry simplified!\n\nNodes before: ${totalNodesBefore}\nNodes after: ${totalNodesAfter}\nReduction: ${reduction}%`);
     }
 
+    // Helper: Copy a layer's current geometry (vertex drags mutate LatLngs in place, so keep copies)
+    snapshotLayerGeometry(layer) {
+        if (layer instanceof L.Marker) {
+            const latlng = layer.getLatLng();
+            return [L.latLng(latlng.lat, latlng.lng, latlng.alt)];
+        }
+        return this.flattenLatLngs(layer.getLatLngs()).map(ll => L.latLng(ll.lat, ll.lng, ll.alt));
+    }
+
+    // Helper: Restore a geometry snapshot onto a layer
+    applyLayerGeometry(layer, snapshot) {
+        const latlngs = snapshot.map(ll => L.latLng(ll.lat, ll.lng, ll.alt));
+        
+        if (layer instanceof L.Marker) {
+            layer.setLatLng(latlngs[0]);
+            return;
+        }
+        
+        layer.setLatLngs(layer instanceof L.Polygon ? [latlngs] : latlngs);
+        if (this.previewEditMode) {
+            this.updateVertexMarkers(layer, latlngs);
+        }
+    }
+
+    // Record an edit command: changes is a list of { layer, before, after } geometry snapshots
+    recordPreviewEdit(label, changes) {
+        const isSame = (a, b) => a.length === b.length && a.every((ll, i) => ll.equals(b[i], 0));
+        const effectiveChanges = changes.filter(change => !isSame(change.before, change.after));
+        if (effectiveChanges.length === 0) return;
+        
+        this.previewUndoStack.push({ label, changes: effectiveChanges });
+        this.previewRedoStack = []; // A new edit invalidates the redo history
+        this.updateUndoRedoButtons();
+    }
+
+    undoPreviewEdit() {
+        const command = this.previewUndoStack.pop();
+        if (!command) return;
+        
+        command.changes.forEach(change => this.applyLayerGeometry(change.layer, change.before));
+        this.previewRedoStack.push(command);
+        this.updateUndoRedoButtons();
+    }
+
+    redoPreviewEdit() {
+        const command = this.previewRedoStack.pop();
+        if (!command) return;
+        
+        command.changes.forEach(change => this.applyLayerGeometry(change.layer, change.after));
+        this.previewUndoStack.push(command);
+        this.updateUndoRedoButtons();
+    }
+
+    clearPreviewHistory() {
+        this.previewUndoStack = [];
+        this.previewRedoStack = [];
+        this.updateUndoRedoButtons();
+    }
+
+    updateUndoRedoButtons() {
+        const undoBtn = document.getElementById('undoEditBtn');
+        const redoBtn = document.getElementById('redoEditBtn');
+        const lastUndo = this.previewUndoStack[this.previewUndoStack.length - 1];
+        const lastRedo = this.previewRedoStack[this.previewRedoStack.length - 1];
+        
+        if (undoBtn) {
+            undoBtn.disabled = !lastUndo;
+            undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !lastRedo;
+            redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+    }
+
+    handlePreviewKeydown(e) {
+        // Only while the preview modal is open
+        if (!this.currentPreviewSequence) return;
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        
+        // Leave native undo to text fields (e.g. the tolerance input)
+        const tagName = e.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+        
+        e.preventDefault();
+        if (e.shiftKey) {
+            this.redoPreviewEdit();
+        } else {
+            this.undoPreviewEdit();
+        }
+    }
+
     savePreviewEdits() {
         if (!this.currentPreviewSequence) {
             alert('Error: No sequence loaded in preview.');
@@ -2376,7 +3019,8 @@ class TaskManager {
                     if (flatLatlngs.length > 0) {
                         const coords = flatLatlngs.map(ll => {
                             if (ll instanceof L.LatLng || (ll.lat !== undefined && ll.lng !== undefined)) {
-                                return [ll.lng, ll.lat];
+                                // Keep elevation if the source had it
+                                return ll.alt !== undefined ? [ll.lng, ll.lat, ll.alt] : [ll.lng, ll.lat];
                             } else if (Array.isArray(ll) && ll.length >= 2) {
                                 // Try to detect format: if first value > 90, it's probably lng
                                 if (Math.abs(ll[0]) > 90) {
@@ -2402,7 +3046,8 @@ class TaskManager {
                     if (flatLatlngs.length > 0) {
                         const coords = flatLatlngs.map(ll => {
                             if (ll instanceof L.LatLng || (ll.lat !== undefined && ll.lng !== undefined)) {
-                                return [ll.lng, ll.lat];
+                                // Keep elevation if the source had it
+                                return ll.alt !== undefined ? [ll.lng, ll.lat, ll.alt] : [ll.lng, ll.lat];
                             } else if (Array.isArray(ll) && ll.length >= 2) {
                                 if (Math.abs(ll[0]) > 90) {
                                     return [ll[0], ll[1]];
@@ -2430,18 +3075,19 @@ class TaskManager {
                     if (latlng && latlng.lat !== undefined && latlng.lng !== undefined) {
                         geometry = {
                             type: 'Point',
-                            coordinates: [latlng.lng, latlng.lat]
+                            coordinates: latlng.alt !== undefined ? [latlng.lng, latlng.lat, latlng.alt] : [latlng.lng, latlng.lat]
                         };
                     }
                 }
                 
                 if (geometry) {
-                    // Preserve original feature properties
+                    // Preserve original feature properties (copied so the original feature stays untouched),
+                    // with the per-point arrays following the vertices that were kept, moved or added
                     const originalFeature = layer.feature || { properties: {} };
                     editedFeatures.push({
                         type: 'Feature',
                         geometry: geometry,
-                        properties: originalFeature.properties || {}
+                        properties: this.alignPointArrays(originalFeature, geometry)
                     });
                     console.log(`Layer ${idx}: Converted to ${geometry.type} with ${geometry.coordinates.length} coordinates`);
                 } else {
@@ -2461,41 +3107,150 @@ class TaskManager {
         
         // Update sequence features
         this.currentPreviewSequence.features = editedFeatures;
+        this.currentPreviewSequence.isEdited = true;
         
         // Update the sequence in the main sequences array
         const sequenceIndex = this.sequences.findIndex(s => s.id === this.currentPreviewSequence.id);
         if (sequenceIndex >= 0) {
             this.sequences[sequenceIndex].features = editedFeatures;
+            this.sequences[sequenceIndex].isEdited = true;
             // Also update stats
-            const stats = this.calculateStats(editedFeatures);
+            const stats = featureParser.calculateStats(editedFeatures);
             this.sequences[sequenceIndex].featureCount = stats.features;
             this.sequences[sequenceIndex].nodeCount = stats.nodes;
             this.sequences[sequenceIndex].wayCount = stats.ways;
         }
         
-        // Save to storage
+        // Save to storage - edited geometry is stored per sequence, the original GeoJSON stays untouched
+        this.saveEditedGeometry(this.currentPreviewSequence);
         this.saveToStorage();
-        
-        // Update original for revert
-        this.originalPreviewFeatures = JSON.parse(JSON.stringify(editedFeatures));
+        this.renderOverviewMap();
         
         // Changes saved silently - no popup needed
     }
 
-    revertPreviewEdits() {
-        if (!this.currentPreviewSequence || !this.originalPreviewFeatures) return;
+    alignPointArrays(originalFeature, geometry) {
+        // Per-point arrays (coordTimes etc., see featureParser.createTrackFeature) are parallel to the coordinates, so after an
+        // edit they must follow the vertices: unchanged vertices keep their values (deleted or simplified ones
+        // drop out), moved vertices keep theirs by position, and added vertices get an interpolated time
+        const properties = { ...(originalFeature.properties || {}) };
+        const names = ['coordTimes', 'coordHdops', 'coordSpeeds', 'coordExtensions'].filter(name => name in properties);
+        if (names.length === 0) return properties;
+
+        // The preview edits lines as a single part, so multi-part arrays are flattened the same way
+        const original = originalFeature.geometry || {};
+        let oldCoords = null;
+        const flatten = (values) => (original.type === 'MultiLineString' && Array.isArray(values) ? [].concat(...values) : values);
+        if (original.type === 'LineString' || original.type === 'MultiLineString') {
+            oldCoords = flatten(original.coordinates);
+        }
+        const newCoords = geometry.type === 'LineString' ? geometry.coordinates : null;
+        names.forEach(name => delete properties[name]);
+        if (!oldCoords || !newCoords) return properties;
+
+        // Match each vertex to the next unused original vertex at the same position, in order
+        const indexesByPosition = new Map();
+        oldCoords.forEach((coord, index) => {
+            const key = `${coord[0]},${coord[1]}`;
+            if (!indexesByPosition.has(key)) indexesByPosition.set(key, []);
+            indexesByPosition.get(key).push(index);
+        });
+        const matches = new Array(newCoords.length).fill(-1);
+        let nextOld = 0;
+        newCoords.forEach((coord, index) => {
+            const candidates = indexesByPosition.get(`${coord[0]},${coord[1]}`) || [];
+            const match = candidates.find(oldIndex => oldIndex >= nextOld);
+            if (match !== undefined) {
+                matches[index] = match;
+                nextOld = match + 1;
+            }
+        });
+
+        // Between two matched vertices, the same number of unmatched vertices on both sides means they were moved
+        let previousNew = -1;
+        let previousOld = -1;
+        for (let index = 0; index <= newCoords.length; index++) {
+            if (index < newCoords.length && matches[index] < 0) continue;
+            const oldEnd = index < newCoords.length ? matches[index] : oldCoords.length;
+            if (index - previousNew === oldEnd - previousOld) {
+                for (let offset = 1; previousNew + offset < index; offset++) {
+                    matches[previousNew + offset] = previousOld + offset;
+                }
+            }
+            previousNew = index;
+            previousOld = oldEnd;
+        }
+
+        names.forEach(name => {
+            const oldValues = flatten(originalFeature.properties[name]);
+            if (!Array.isArray(oldValues) || oldValues.length !== oldCoords.length) return; // Already out of line
+            const values = matches.map(match => (match >= 0 && oldValues[match] !== undefined ? oldValues[match] : null));
+            if (name === 'coordTimes') {
+                this.interpolatePointTimes(values, matches);
+            }
+            if (values.some(value => value !== null)) {
+                properties[name] = values;
+            }
+        });
+        return properties;
+    }
+
+    interpolatePointTimes(times, matches) {
+        // Fills the times of added vertices evenly between the kept vertices around them
+        let previous = -1;
+        for (let index = 0; index < times.length; index++) {
+            if (matches[index] < 0) continue;
+            const gap = index - previous - 1;
+            const start = previous >= 0 ? new Date(times[previous]).getTime() : NaN;
+            const end = new Date(times[index]).getTime();
+            if (gap > 0 && times[previous] && times[index] && !isNaN(start) && !isNaN(end)) {
+                for (let offset = 1; offset <= gap; offset++) {
+                    times[previous + offset] = new Date(start + (end - start) * offset / (gap + 1)).toISOString();
+                }
+            }
+            previous = index;
+        }
+    }
+
+    async saveEditedGeometry(sequence) {
+        try {
+            await storageManager.saveEditedGeometry(sequence.id, sequence.features);
+        } catch (error) {
+            console.error('Error saving edited geometry:', error);
+        }
+    }
+
+    hasOriginalFeatures(sequence) {
+        return !!(sequence && sequence.originalFeatures && sequence.originalFeatures.length > 0);
+    }
+
+    async revertPreviewEdits() {
+        if (!this.currentPreviewSequence) return;
+        
+        // Without the uploaded features, reverting would leave the sequence with no geometry at all
+        const sequence = this.currentPreviewSequence;
+        if (!this.hasOriginalFeatures(sequence)) {
+            alert('⚠️ The original geometry of this sequence is not loaded, so the edits were kept.\n\nRe-upload the source file to be able to revert.');
+            return;
+        }
         
         const confirmed = confirm('Are you sure you want to revert all changes? This will restore the original geometry.');
         if (!confirmed) return;
         
-        // Restore original features
-        this.currentPreviewSequence.features = JSON.parse(JSON.stringify(this.originalPreviewFeatures));
+        // Restore original (uploaded) features and drop any stored edits
+        sequence.features = sequence.originalFeatures;
+        sequence.isEdited = false;
+        const stats = featureParser.calculateStats(sequence.features);
+        sequence.featureCount = stats.features;
+        sequence.nodeCount = stats.nodes;
+        sequence.wayCount = stats.ways;
         
-        // Update the sequence in the main sequences array
-        const sequenceIndex = this.sequences.findIndex(s => s.id === this.currentPreviewSequence.id);
-        if (sequenceIndex >= 0) {
-            this.sequences[sequenceIndex].features = JSON.parse(JSON.stringify(this.originalPreviewFeatures));
+        try {
+            await storageManager.deleteEditedGeometry(sequence.id);
+        } catch (error) {
+            console.error('Error deleting edited geometry:', error);
         }
+        this.renderOverviewMap();
         
         // Re-render the preview
         this.previewSequence(this.currentPreviewSequence.id);
@@ -2513,8 +3268,8 @@ class TaskManager {
         modal.style.display = 'none';
         this.currentPreviewSequence = null;
         this.previewEditMode = false;
-        this.originalPreviewFeatures = null;
         this.editableLayers = [];
+        this.clearPreviewHistory();
         
         // Invalidate map size when hidden
         if (this.map) {
@@ -2542,7 +3297,10 @@ class TaskManager {
             this.sequences[sequenceIndex].features = this.currentPreviewSequence.features;
         }
         
-        // Save to storage
+        // Save to storage (edited features are not part of geojsonData, so store them separately)
+        if (this.currentPreviewSequence.isEdited) {
+            this.saveEditedGeometry(this.currentPreviewSequence);
+        }
         this.saveToStorage();
     }
 
@@ -2561,6 +3319,17 @@ class TaskManager {
         }
     }
 
+    exportGPXFromPreview() {
+        if (this.currentPreviewSequence) {
+            // Save pending edits first so the GPX reflects the edited geometry
+            if (this.previewEditMode && this.editableLayers && this.editableLayers.length > 0) {
+                this.savePreviewEdits();
+            }
+            
+            this.exportToGPX(this.currentPreviewSequence.id);
+        }
+    }
+
     updateSummary() {
         const summaryInfo = document.getElementById('summaryInfo');
         if (!summaryInfo) return;
@@ -2570,21 +3339,345 @@ class TaskManager {
         const skipped = this.sequences.filter(seq => seq.status === 'skipped').length;
         const done = this.sequences.filter(seq => seq.status === 'done').length;
 
+        // Breakdown of why sequences were skipped, for reporting
+        const skipBreakdown = this.getSkipReasonCounts(this.getSkippedSequences())
+            .map(group => `${group.reason ? this.escapeXml(group.reason) : 'No reason'}: ${group.count}`)
+            .join(' · ');
+
         summaryInfo.innerHTML = `
             <span>Total Sequences: ${total}</span>
             <span>Active: ${active}</span>
             <span>Skipped: ${skipped}</span>
             <span>Done: ${done}</span>
+            ${skipped > 0 ? `<span class="skip-breakdown">Skip reasons — ${skipBreakdown}</span>` : ''}
+        `;
+
+        // Summary changes whenever sequences or statuses change, so refresh the overview map too
+        this.renderOverviewMap();
+        this.renderSourcesPanel();
+    }
+
+    getImportSources() {
+        // Imported files -> { fileName, importedAt, featureCount, sequenceCount }, from the original features
+        const sources = new Map();
+        this.sequences.forEach(seq => {
+            (seq.originalFeatures || []).forEach(feature => {
+                const properties = feature.properties || {};
+                const fileName = properties._source_file || '';
+                if (!sources.has(fileName)) {
+                    sources.set(fileName, { fileName, importedAt: null, featureCount: 0, sequenceIds: new Set() });
+                }
+                const source = sources.get(fileName);
+                source.featureCount++;
+                source.sequenceIds.add(seq.id);
+                if (properties._imported_at && (!source.importedAt || properties._imported_at > source.importedAt)) {
+                    source.importedAt = properties._imported_at;
+                }
+            });
+        });
+        
+        return Array.from(sources.values())
+            .map(source => ({
+                fileName: source.fileName,
+                importedAt: source.importedAt,
+                featureCount: source.featureCount,
+                sequenceCount: source.sequenceIds.size
+            }))
+            .sort((a, b) => (b.importedAt || '').localeCompare(a.importedAt || '') || a.fileName.localeCompare(b.fileName));
+    }
+
+    renderSourcesPanel() {
+        const panel = document.getElementById('sourcesPanel');
+        if (!panel) return;
+        
+        const sources = this.getImportSources();
+        if (sources.length === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        document.getElementById('sourcesCount').textContent = sources.length;
+        document.getElementById('sourcesList').innerHTML = `
+            <table class="status-history-table">
+                <thead>
+                    <tr><th>File</th><th>Imported</th><th>Features</th><th>Sequences</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${sources.map(source => `
+                        <tr>
+                            <td>${source.fileName ? this.escapeXml(source.fileName) : '<em>Unknown source</em>'}</td>
+                            <td>${source.importedAt ? new Date(source.importedAt).toLocaleString() : '—'}</td>
+                            <td>${source.featureCount}</td>
+                            <td>${source.sequenceCount}</td>
+                            <td><button class="btn-remove-source" onclick="taskManager.removeSource(${this.escapeXml(JSON.stringify(source.fileName))})" title="Remove all data from this file">🗑️ Remove</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
     }
 
+    async removeSource(fileName) {
+        // Removes every feature imported from one file; sequences left without features disappear
+        const label = fileName || 'unknown source';
+        if (!confirm(`Remove all data imported from "${label}"?\n\nSequences that only contain features from this file (and their status and notes) will be removed.`)) {
+            return;
+        }
+        
+        try {
+            const fromSource = (feature) => ((feature.properties || {})._source_file || '') === fileName;
+            const loadedFeatures = this.geojsonData?.features || [];
+            const features = loadedFeatures.filter(feature => !fromSource(feature));
+            const keys = this.featureKeys && this.featureKeys.filter((key, index) => !fromSource(loadedFeatures[index]));
+            
+            // Edited geometry keeps the source tags, so drop this file's features from edits too
+            for (const seq of this.sequences) {
+                if (!seq.isEdited || !seq.features.some(fromSource)) continue;
+                seq.features = seq.features.filter(feature => !fromSource(feature));
+                if (seq.features.length === 0) {
+                    seq.isEdited = false;
+                    await storageManager.deleteEditedGeometry(seq.id);
+                } else {
+                    await this.saveEditedGeometry(seq);
+                }
+            }
+            
+            await this.processGeoJSON({
+                type: 'FeatureCollection',
+                features: features
+            }, null, keys);
+            
+            const fileInfo = document.getElementById('fileInfo');
+            if (fileInfo) {
+                fileInfo.textContent = `✓ Removed ${label} (Total: ${features.length} features)`;
+            }
+        } catch (error) {
+            console.error('Error removing source:', error);
+            alert('❌ Error removing source data. Please try again or check the console for details.');
+        }
+    }
+
+    getStatusColor(status) {
+        switch (status) {
+            case 'done':
+                return '#27ae60';
+            case 'skipped':
+                return '#f39c12';
+            default:
+                return '#0066ff'; // Active - same blue as the preview map
+        }
+    }
+
+    toggleOverviewMap() {
+        this.overviewMapVisible = !this.overviewMapVisible;
+        
+        const container = document.getElementById('overviewMap');
+        const toggleBtn = document.getElementById('toggleOverviewMapBtn');
+        if (container) {
+            container.style.display = this.overviewMapVisible ? 'block' : 'none';
+        }
+        if (toggleBtn) {
+            toggleBtn.textContent = this.overviewMapVisible ? 'Hide Map' : 'Show Map';
+        }
+        
+        if (this.overviewMapVisible) {
+            this.renderOverviewMap();
+            // Map was created/resized while hidden, so let Leaflet re-measure the container
+            setTimeout(() => {
+                if (this.overviewMap) {
+                    this.overviewMap.invalidateSize();
+                    this.fitOverviewMap();
+                }
+            }, 100);
+        }
+    }
+
+    renderOverviewMap() {
+        if (!this.overviewMapVisible || !document.getElementById('overviewMap')) return;
+        
+        if (!this.overviewMap) {
+            // Canvas rendering keeps the map responsive with hundreds of sequences
+            this.overviewMap = L.map('overviewMap', {
+                preferCanvas: true,
+                zoomControl: true
+            }).setView([1.301965, 103.9003035], 11); // Default to Singapore
+            
+            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+                attribution: '© OpenStreetMap contributors',
+                maxZoom: 19
+            }).addTo(this.overviewMap);
+        }
+        
+        const visibleSequences = this.filterSequencesBySearch(this.getAllSequences());
+        const visibleIds = new Set(visibleSequences.map(seq => String(seq.id)));
+        
+        // Remove sequences that were filtered out or no longer exist
+        this.overviewLayers.forEach((entry, sequenceId) => {
+            if (!visibleIds.has(sequenceId)) {
+                this.overviewMap.removeLayer(entry.layer);
+                this.overviewLayers.delete(sequenceId);
+            }
+        });
+        
+        visibleSequences.forEach(seq => {
+            const sequenceId = String(seq.id);
+            const color = this.getStatusColor(seq.status);
+            const existing = this.overviewLayers.get(sequenceId);
+            
+            // Geometry unchanged - only restyle (status may have changed)
+            if (existing && existing.features === seq.features) {
+                existing.layer.setStyle({ color: color, fillColor: color });
+                return;
+            }
+            if (existing) {
+                this.overviewMap.removeLayer(existing.layer);
+            }
+            
+            const layer = L.geoJSON({ type: 'FeatureCollection', features: seq.features || [] }, {
+                style: () => ({ color: color, weight: 3, opacity: 0.8 }),
+                pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+                    radius: 5,
+                    color: color,
+                    fillColor: color,
+                    fillOpacity: 0.8,
+                    weight: 1
+                })
+            });
+            layer.bindTooltip(`Sequence ${sequenceId}`, { sticky: true });
+            layer.on('click', () => this.navigateToSequence(seq.id));
+            layer.addTo(this.overviewMap);
+            
+            this.overviewLayers.set(sequenceId, { layer: layer, features: seq.features });
+        });
+        
+        // Re-fit only when the set of drawn sequences changes, not on every status update
+        const fitKey = `${visibleSequences.length}|${this.allTasksSearchTerm}`;
+        if (fitKey !== this.overviewFitKey) {
+            this.overviewFitKey = fitKey;
+            this.fitOverviewMap();
+        }
+    }
+
+    fitOverviewMap() {
+        if (!this.overviewMap) return;
+        
+        const bounds = L.latLngBounds([]);
+        this.overviewLayers.forEach(entry => {
+            const layerBounds = entry.layer.getBounds();
+            if (layerBounds.isValid()) {
+                bounds.extend(layerBounds);
+            }
+        });
+        
+        if (bounds.isValid()) {
+            this.overviewMap.fitBounds(bounds, { padding: [20, 20] });
+        }
+    }
+
+    async loadSettings() {
+        try {
+            const settings = await storageManager.loadSettings();
+            if (settings && Array.isArray(settings.skipReasons)) {
+                this.skipReasons = settings.skipReasons;
+            }
+            if (settings && settings.userName) {
+                this.userName = settings.userName;
+            }
+            if (settings && settings.sequenceIdMapping) {
+                this.sequenceIdMapping = settings.sequenceIdMapping;
+            }
+            if (settings && settings.csvColumnMappings) {
+                this.csvColumnMappings = settings.csvColumnMappings;
+            }
+            if (settings && settings.alwaysShowImportOptions) {
+                this.alwaysShowImportOptions = true;
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+    }
+
+    async saveSettings() {
+        try {
+            await storageManager.saveSettings({
+                skipReasons: this.skipReasons,
+                userName: this.userName,
+                sequenceIdMapping: this.sequenceIdMapping,
+                csvColumnMappings: this.csvColumnMappings,
+                alwaysShowImportOptions: this.alwaysShowImportOptions
+            });
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    async openSettings() {
+        const body = await this.showDialog('⚙️ Settings', `
+            <label class="status-label" for="settingsUserName">Your name (recorded in the status history)</label>
+            <input type="text" id="settingsUserName" class="search-input settings-input" value="${this.escapeXml(this.userName)}" placeholder="Optional">
+            <label class="status-label" for="settingsSkipReasons">Skip reasons (one per line)</label>
+            <textarea id="settingsSkipReasons" class="notes-input" rows="8">${this.escapeXml(this.skipReasons.join('\n'))}</textarea>
+            <p class="dialog-hint">Renaming or removing a reason does not change sequences already skipped with it.</p>
+            <label class="status-label"><input type="checkbox" id="settingsAlwaysImportOptions" ${this.alwaysShowImportOptions ? 'checked' : ''}> Always show the import options</label>
+            <p class="dialog-hint">Otherwise they only open when sequence IDs or the coordinate system can't be detected.</p>
+        `, 'Save');
+        
+        if (!body) return;
+        
+        const reasons = body.querySelector('#settingsSkipReasons').value
+            .split('\n')
+            .map(reason => reason.trim())
+            .filter(reason => reason);
+        this.skipReasons = [...new Set(reasons)];
+        this.userName = body.querySelector('#settingsUserName').value.trim();
+        this.alwaysShowImportOptions = body.querySelector('#settingsAlwaysImportOptions').checked;
+        
+        await this.saveSettings();
+        this.renderCurrentTask();
+        this.updateSummary();
+    }
+
+    showDialog(title, bodyHtml, confirmText = 'OK', showCancel = true) {
+        // Generic modal dialog - resolves with the dialog body element on confirm, or null on cancel
+        if (this.resolveDialog) {
+            this.resolveDialog(false);
+        }
+        
+        const modal = document.getElementById('dialogModal');
+        const body = document.getElementById('dialogBody');
+        document.getElementById('dialogTitle').innerHTML = title;
+        document.getElementById('dialogConfirmBtn').textContent = confirmText;
+        document.getElementById('dialogCancelBtn').style.display = showCancel ? 'inline-block' : 'none';
+        body.innerHTML = bodyHtml;
+        modal.style.display = 'block';
+        
+        return new Promise(resolve => {
+            this.resolveDialog = (confirmed) => {
+                modal.style.display = 'none';
+                this.resolveDialog = null;
+                resolve(confirmed ? body : null);
+            };
+        });
+    }
+
+    closeDialog(confirmed) {
+        if (this.resolveDialog) {
+            this.resolveDialog(confirmed);
+        }
+    }
+
     async saveToStorage() {
         try {
-            // Save id and status to IndexedDB
+            // Save id, status, notes and dates to IndexedDB
             const taskData = {
                 sequences: this.sequences.map(seq => ({
                     id: seq.id,
-                    status: seq.status
+                    status: seq.status,
+                    skipReason: seq.skipReason || '',
+                    notes: seq.notes || '',
+                    completedAt: seq.completedAt || null,
+                    date: seq.date
                 })),
                 currentIndex: this.currentIndex,
                 currentView: this.currentView
@@ -2594,7 +3687,7 @@ class TaskManager {
             
             // Also save geojsonData to IndexedDB for full functionality
             if (this.geojsonData) {
-                await storageManager.saveGeoJSONData(this.geojsonData);
+                await storageManager.saveGeoJSONData(this.geojsonData, this.featureKeys);
             }
         } catch (error) {
             console.error('Error saving to storage:', error);
@@ -2610,12 +3703,15 @@ class TaskManager {
         }
 
         // Create CSV content
-        const headers = ['Sequence ID', 'Status'];
+        const headers = ['Sequence ID', 'Status', 'Skip Reason', 'Notes', 'Completed At'];
         const rows = allSequences.map(seq => {
             const status = seq.status || 'Active (Blank)';
-            // Escape commas and quotes in sequence ID
+            // Escape quotes (fields are quoted, so commas and newlines are safe)
             const sequenceId = String(seq.id).replace(/"/g, '""');
-            return `"${sequenceId}","${status}"`;
+            const skipReason = String(seq.skipReason || '').replace(/"/g, '""');
+            const notes = String(seq.notes || '').replace(/"/g, '""');
+            const completedAt = seq.status === 'done' && seq.completedAt ? seq.completedAt : '';
+            return `"${sequenceId}","${status}","${skipReason}","${notes}","${completedAt}"`;
         });
 
         const csvContent = [
@@ -2665,6 +3761,7 @@ class TaskManager {
 
             // Reset all state
             this.geojsonData = null;
+            this.featureKeys = null;
             this.sequences = [];
             this.currentIndex = 0;
             this.currentView = 'all';
@@ -2712,6 +3809,22 @@ class TaskManager {
 
             // Load geojsonData from IndexedDB
             this.geojsonData = await storageManager.loadGeoJSONData();
+            this.featureKeys = null;
+            if (this.geojsonData) {
+                // Keys saved with the features spare hashing every feature again on the next import
+                const savedKeys = await storageManager.loadFeatureKeys();
+                if (savedKeys && Array.isArray(savedKeys.keys) && savedKeys.featureCount === (this.geojsonData.features || []).length) {
+                    this.featureKeys = savedKeys.keys;
+                }
+            }
+
+            // Load edited geometry (stored per sequence, alongside the original geojsonData)
+            let editedGeometry = new Map();
+            try {
+                editedGeometry = await storageManager.loadEditedGeometry();
+            } catch (error) {
+                console.error('Error loading edited geometry:', error);
+            }
 
             if (taskData.sequences && Array.isArray(taskData.sequences)) {
                 // Restore only id and status from storage
@@ -2721,14 +3834,7 @@ class TaskManager {
                     const sequenceMap = new Map();
                     
                     this.geojsonData.features.forEach((feature) => {
-                        const sequenceId = String(
-                            feature.properties?.sequence_id || 
-                            feature.properties?.sequenceId || 
-                            feature.properties?.sequence || 
-                            feature.properties?.id ||
-                            feature.properties?.seq ||
-                            `sequence_${feature.properties?.id || Math.random().toString(36).substr(2, 9)}`
-                        );
+                        const sequenceId = featureParser.getSequenceId(feature);
 
                         if (!sequenceMap.has(sequenceId)) {
                             sequenceMap.set(sequenceId, {
@@ -2740,21 +3846,26 @@ class TaskManager {
                         sequenceMap.get(sequenceId).features.push(feature);
                     });
 
-                    // Restore status from saved data and calculate stats
-                    const savedStatusMap = new Map();
+                    // Restore saved per-sequence state and calculate stats
+                    const savedSequenceMap = new Map();
                     taskData.sequences.forEach(seq => {
-                        savedStatusMap.set(String(seq.id), seq.status);
+                        savedSequenceMap.set(String(seq.id), seq);
                     });
 
                     this.sequences = Array.from(sequenceMap.values()).map(seq => {
-                        const stats = this.calculateStats(seq.features);
+                        // Prefer edited geometry over the original features
+                        const editedFeatures = editedGeometry.get(String(seq.id));
+                        const features = editedFeatures || seq.features;
+                        const stats = featureParser.calculateStats(features);
                         return {
                             ...seq,
-                            status: savedStatusMap.get(String(seq.id)) || '',
+                            ...this.getPreservedState(savedSequenceMap.get(String(seq.id))),
+                            features: features,
+                            originalFeatures: seq.features,
+                            isEdited: !!editedFeatures,
                             featureCount: stats.features,
                             nodeCount: stats.nodes,
-                            wayCount: stats.ways,
-                            date: new Date().toLocaleDateString()
+                            wayCount: stats.ways
                         };
                     });
 
@@ -2769,15 +3880,20 @@ class TaskManager {
                     });
                 } else {
                     // No geojsonData available, just restore basic structure
-                    this.sequences = taskData.sequences.map(seq => ({
-                        id: seq.id,
-                        status: seq.status || '',
-                        features: [],
-                        featureCount: 0,
-                        nodeCount: 0,
-                        wayCount: 0,
-                        date: new Date().toLocaleDateString()
-                    }));
+                    this.sequences = taskData.sequences.map(seq => {
+                        const editedFeatures = editedGeometry.get(String(seq.id));
+                        const stats = featureParser.calculateStats(editedFeatures || []);
+                        return {
+                            id: seq.id,
+                            ...this.getPreservedState(seq),
+                            features: editedFeatures || [],
+                            originalFeatures: [],
+                            isEdited: !!editedFeatures,
+                            featureCount: stats.features,
+                            nodeCount: stats.nodes,
+                            wayCount: stats.ways
+                        };
+                    });
                 }
                 
                 this.currentIndex = taskData.currentIndex || 0;
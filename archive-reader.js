@@ -0,0 +1,111 @@
+// Archive Reader for OSMAGIC Task Manager
+// Unpacks ZIP archives (e.g. KMZ, bundles of traces) and gzip files in the browser using the native DecompressionStream
+class ArchiveReader {
+    listZipEntries(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const bytes = new Uint8Array(arrayBuffer);
+
+        // Find the End Of Central Directory record, searching backwards past an optional archive comment
+        let eocdOffset = -1;
+        const minOffset = Math.max(0, bytes.length - 22 - 0xffff);
+        for (let i = bytes.length - 22; i >= minOffset; i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocdOffset = i;
+                break;
+            }
+        }
+
+        if (eocdOffset < 0) {
+            throw new Error('Not a valid ZIP archive');
+        }
+
+        const entryCount = view.getUint16(eocdOffset + 10, true);
+        let offset = view.getUint32(eocdOffset + 16, true);
+        const decoder = new TextDecoder();
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP archive: invalid central directory');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localHeaderOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            // Skip directories
+            if (name.endsWith('/')) continue;
+
+            entries.push({
+                name: name,
+                method: method,
+                encrypted: (flags & 0x1) !== 0,
+                compressedSize: compressedSize,
+                size: size,
+                localHeaderOffset: localHeaderOffset
+            });
+        }
+
+        return entries;
+    }
+
+    async readZipEntry(arrayBuffer, entry) {
+        if (entry.encrypted) {
+            throw new Error(`${entry.name}: encrypted ZIP entries are not supported`);
+        }
+        if (entry.compressedSize === 0xffffffff || entry.localHeaderOffset === 0xffffffff) {
+            throw new Error(`${entry.name}: ZIP64 archives are not supported`);
+        }
+
+        const view = new DataView(arrayBuffer);
+        const offset = entry.localHeaderOffset;
+        if (view.getUint32(offset, true) !== 0x04034b50) {
+            throw new Error(`${entry.name}: invalid local file header`);
+        }
+
+        // Local header has its own name/extra lengths, which may differ from the central directory
+        const nameLength = view.getUint16(offset + 26, true);
+        const extraLength = view.getUint16(offset + 28, true);
+        const dataStart = offset + 30 + nameLength + extraLength;
+        const data = new Uint8Array(arrayBuffer, dataStart, entry.compressedSize);
+
+        if (entry.method === 0) {
+            // Stored (no compression)
+            return data.slice();
+        } else if (entry.method === 8) {
+            return this.decompress(data, 'deflate-raw');
+        }
+
+        throw new Error(`${entry.name}: unsupported compression method ${entry.method}`);
+    }
+
+    async decompress(data, format) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser does not support DecompressionStream');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+        const buffer = await new Response(stream).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    async decompressBlob(blob, format) {
+        // Like decompress, but the result stays a Blob, so a large file is never held as one array
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser does not support DecompressionStream');
+        }
+
+        return new Response(blob.stream().pipeThrough(new DecompressionStream(format))).blob();
+    }
+}
+
+// Create global instance
+const archiveReader = new ArchiveReader();
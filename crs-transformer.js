@@ -0,0 +1,206 @@
+// CRS Transformer for OSMAGIC Task Manager
+// Reprojects projected coordinates (SVY21, UTM, Web Mercator) to WGS84 longitude/latitude, offline
+class CRSTransformer {
+    constructor() {
+        // WGS84 ellipsoid (SVY21 uses the same one)
+        this.a = 6378137;
+        this.f = 1 / 298.257223563;
+        this.e2 = 2 * this.f - this.f * this.f;
+
+        // Transverse Mercator parameters; UTM zones are added by getTransverseMercator
+        this.transverseMercator = {
+            'EPSG:3414': { lat0: 1 + 22 / 60, lon0: 103 + 50 / 60, k0: 1, falseEasting: 28001.642, falseNorthing: 38744.572 }
+        };
+        this.aliases = {
+            'EPSG:4979': 'EPSG:4326',
+            'CRS84': 'EPSG:4326',
+            'EPSG:900913': 'EPSG:3857',
+            'EPSG:3785': 'EPSG:3857',
+            'EPSG:102100': 'EPSG:3857',
+            'EPSG:102113': 'EPSG:3857'
+        };
+    }
+
+    normalizeCode(name) {
+        // 'EPSG:3414', 'urn:ogc:def:crs:EPSG::3414', 'urn:ogc:def:crs:OGC:1.3:CRS84', 3414 -> 'EPSG:3414' / 'CRS84' aliases resolved
+        const text = String(name).trim();
+        let code = null;
+        if (/CRS84$/i.test(text)) {
+            code = 'CRS84';
+        } else {
+            const match = text.match(/EPSG:(?:[\d.]*:)?:?(\d+)$/i) || text.match(/^(\d+)$/);
+            if (match) code = `EPSG:${match[1]}`;
+        }
+        return code ? (this.aliases[code] || code) : null;
+    }
+
+    getGeoJSONCRS(crs) {
+        // The (pre-RFC 7946) "crs" member: { type: 'name', properties: { name } } or { type: 'EPSG', properties: { code } }
+        if (!crs || !crs.properties) return null;
+        const name = crs.properties.name || crs.properties.code;
+        if (name === undefined || name === null) return null;
+        const code = this.normalizeCode(name);
+        if (!code) {
+            throw new Error(`Unrecognized coordinate system "${name}"`);
+        }
+        return code;
+    }
+
+    isSupported(code) {
+        return code === 'EPSG:4326' || code === 'EPSG:3857' || this.getTransverseMercator(code) !== null;
+    }
+
+    getLabel(code) {
+        const utm = code.match(/^EPSG:32([67])(\d\d)$/);
+        if (utm) {
+            return `UTM zone ${parseInt(utm[2])}${utm[1] === '6' ? 'N' : 'S'} (${code})`;
+        }
+        const labels = {
+            'EPSG:4326': 'WGS84 longitude/latitude (EPSG:4326)',
+            'EPSG:3414': 'SVY21 / Singapore TM (EPSG:3414)',
+            'EPSG:3857': 'Web Mercator (EPSG:3857)'
+        };
+        return labels[code] || code;
+    }
+
+    getTransverseMercator(code) {
+        if (this.transverseMercator[code]) return this.transverseMercator[code];
+
+        // WGS84 / UTM: EPSG:326zz north, EPSG:327zz south
+        const utm = code.match(/^EPSG:32([67])(\d\d)$/);
+        const zone = utm ? parseInt(utm[2]) : 0;
+        if (zone < 1 || zone > 60) return null;
+        return {
+            lat0: 0,
+            lon0: zone * 6 - 183,
+            k0: 0.9996,
+            falseEasting: 500000,
+            falseNorthing: utm[1] === '7' ? 10000000 : 0
+        };
+    }
+
+    detectCRS(features) {
+        // 'EPSG:4326' when every coordinate is a valid longitude/latitude, 'EPSG:3414' when every one
+        // lies within SVY21's extent around Singapore, otherwise null (can't tell - ask the user)
+        let lonLat = true;
+        let svy21 = true;
+        let found = false;
+        features.forEach(feature => {
+            this.forEachPosition(feature.geometry, (position) => {
+                const [x, y] = position;
+                found = true;
+                if (!(Math.abs(x) <= 180 && Math.abs(y) <= 90)) lonLat = false;
+                if (!(x >= 0 && x <= 70000 && y >= 10000 && y <= 70000)) svy21 = false;
+            });
+        });
+
+        if (!found || lonLat) return 'EPSG:4326';
+        return svy21 ? 'EPSG:3414' : null;
+    }
+
+    reprojectFeatures(features, code) {
+        // Reprojects the features' geometries in place; z (and any further ordinates) are kept
+        if (code === 'EPSG:4326') return;
+        if (!this.isSupported(code)) {
+            throw new Error(`Unsupported coordinate system ${code}`);
+        }
+        features.forEach(feature => {
+            this.forEachPosition(feature.geometry, (position) => {
+                const [lon, lat] = this.toWGS84(position[0], position[1], code);
+                position[0] = lon;
+                position[1] = lat;
+            });
+        });
+    }
+
+    forEachPosition(geometry, callback) {
+        if (!geometry) return;
+        if (geometry.type === 'GeometryCollection') {
+            (geometry.geometries || []).forEach(child => this.forEachPosition(child, callback));
+            return;
+        }
+
+        const visit = (coords) => {
+            if (!Array.isArray(coords)) return;
+            if (typeof coords[0] === 'number') {
+                callback(coords);
+            } else {
+                coords.forEach(visit);
+            }
+        };
+        visit(geometry.coordinates);
+    }
+
+    toWGS84(x, y, code) {
+        if (code === 'EPSG:4326') return [x, y];
+
+        if (code === 'EPSG:3857') {
+            // Spherical Mercator on the WGS84 semi-major axis
+            const lon = (x / this.a) * 180 / Math.PI;
+            const lat = (2 * Math.atan(Math.exp(y / this.a)) - Math.PI / 2) * 180 / Math.PI;
+            return [lon, lat];
+        }
+
+        const params = this.getTransverseMercator(code);
+        if (!params) {
+            throw new Error(`Unsupported coordinate system ${code}`);
+        }
+        return this.inverseTransverseMercator(x, y, params);
+    }
+
+    meridianArc(lat) {
+        // Distance along the meridian from the equator to latitude lat (radians)
+        const e2 = this.e2;
+        const e4 = e2 * e2;
+        const e6 = e4 * e2;
+        return this.a * (
+            (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * lat -
+            (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * lat) +
+            (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * lat) -
+            (35 * e6 / 3072) * Math.sin(6 * lat)
+        );
+    }
+
+    inverseTransverseMercator(easting, northing, params) {
+        // Snyder's inverse Transverse Mercator series (Map Projections - A Working Manual, p. 63)
+        const { k0, falseEasting, falseNorthing } = params;
+        const e2 = this.e2;
+        const ep2 = e2 / (1 - e2);
+        const toRadians = Math.PI / 180;
+
+        const m = this.meridianArc(params.lat0 * toRadians) + (northing - falseNorthing) / k0;
+        const mu = m / (this.a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+        const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+        // Footpoint latitude
+        const lat1 = mu +
+            (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+            (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+            (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+            (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+
+        const sinLat1 = Math.sin(lat1);
+        const cosLat1 = Math.cos(lat1);
+        const t1 = Math.tan(lat1) * Math.tan(lat1);
+        const c1 = ep2 * cosLat1 * cosLat1;
+        const n1 = this.a / Math.sqrt(1 - e2 * sinLat1 * sinLat1);
+        const r1 = this.a * (1 - e2) / Math.pow(1 - e2 * sinLat1 * sinLat1, 1.5);
+        const d = (easting - falseEasting) / (n1 * k0);
+
+        const lat = lat1 - (n1 * Math.tan(lat1) / r1) * (
+            d * d / 2 -
+            (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+            (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720
+        );
+        const lon = params.lon0 * toRadians + (
+            d -
+            (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+            (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120
+        ) / cosLat1;
+
+        return [lon / toRadians, lat / toRadians];
+    }
+}
+
+// Create global instance
+const crsTransformer = new CRSTransformer();
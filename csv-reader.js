@@ -0,0 +1,156 @@
+// CSV Reader for OSMAGIC Task Manager
+// Decodes CSV bytes and splits them into rows, whatever the delimiter, quoting or encoding
+class CSVReader {
+    constructor() {
+        this.delimiters = [',', ';', '\t', '|'];
+    }
+
+    decode(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+
+        // Byte order marks
+        if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+            return new TextDecoder('utf-8').decode(bytes.subarray(3));
+        }
+        if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+            return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+        }
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+            return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+        }
+
+        // UTF-16 without a BOM: mostly-ASCII text has a zero in every other byte
+        const sample = bytes.subarray(0, 1000);
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) evenZeros++;
+                else oddZeros++;
+            }
+        }
+        if (oddZeros > sample.length / 4 && evenZeros === 0) {
+            return new TextDecoder('utf-16le').decode(bytes);
+        }
+        if (evenZeros > sample.length / 4 && oddZeros === 0) {
+            return new TextDecoder('utf-16be').decode(bytes);
+        }
+
+        // UTF-8, falling back to Windows-1252 (Excel's default "CSV" on Western systems)
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    }
+
+    sniffDelimiter(text) {
+        // Pick the candidate that splits the first lines into the same, largest number of fields
+        const lines = this.splitRecords(text.slice(0, 64 * 1024), null).slice(0, 10);
+        let best = ',';
+        let bestScore = 0;
+
+        this.delimiters.forEach(delimiter => {
+            const counts = lines.map(line => this.countDelimiters(line, delimiter));
+            const fieldCount = counts[0];
+            if (!fieldCount) return;
+
+            const consistent = counts.filter(count => count === fieldCount).length;
+            const score = consistent * 1000 + fieldCount;
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    countDelimiters(line, delimiter) {
+        let count = 0;
+        let inQuotes = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (char === delimiter && !inQuotes) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    parse(text, delimiter = null) {
+        // Returns an array of rows (arrays of field strings), skipping blank lines.
+        // Follows RFC 4180: quoted fields may contain delimiters, newlines and "" escapes.
+        if (text.charCodeAt(0) === 0xfeff) {
+            text = text.slice(1);
+        }
+        return this.splitRecords(text, delimiter || this.sniffDelimiter(text));
+    }
+
+    splitRecords(text, delimiter) {
+        // With no delimiter, returns raw lines (quote-aware) instead of fields
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = 0;
+
+        const endRecord = () => {
+            if (delimiter) {
+                row.push(field);
+                // Skip blank lines
+                if (row.length > 1 || row[0].trim()) rows.push(row);
+            } else if (field.trim()) {
+                rows.push(field);
+            }
+            row = [];
+            field = '';
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += delimiter ? '"' : '""';
+                    i += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    inQuotes = false;
+                    if (!delimiter) field += char;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"') {
+                inQuotes = true;
+                if (!delimiter) field += char;
+            } else if (delimiter && char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                endRecord();
+                // Treat CRLF as a single line break
+                if (char === '\r' && text[i + 1] === '\n') i++;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        if (field || row.length > 0) {
+            endRecord();
+        }
+
+        return rows;
+    }
+}
+
+// Create global instance
+const csvReader = new CSVReader();
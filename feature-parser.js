@@ -0,0 +1,1440 @@
+// Feature Parser for OSMAGIC Task Manager
+// DOM-free parsing, grouping and stats, shared by the page and parse-worker.js.
+// An upload is handled as a session: load files -> count sequences for a mapping (preview) -> build
+// features and find duplicates -> merge with the existing features and group.
+class FeatureParser {
+    constructor() {
+        this.imports = []; // Files of the current upload session
+        this.built = null; // Features built for the session, awaiting merge
+        this.cancelled = false;
+    }
+
+    async handleRequest(type, payload = {}, progressCallback = null) {
+        // Entry point for both the worker and the main-thread fallback
+        switch (type) {
+            case 'ping':
+                return true;
+            case 'load':
+                return this.loadFiles(payload.files, progressCallback);
+            case 'count':
+                return this.countImportSequences(payload.mapping, payload.columns);
+            case 'build':
+                return this.buildImport(payload, progressCallback);
+            case 'merge':
+                return this.mergeImport(payload.duplicates, progressCallback);
+            default:
+                throw new Error(`Unknown request: ${type}`);
+        }
+    }
+
+    async loadFiles(files, progressCallback = null) {
+        // files: [{ fileName, file }] - File objects of any supported type (archives already unpacked)
+        this.imports = [];
+        this.cancelled = false;
+        const summaries = [];
+        const changes = []; // osmChange files, applied on the page to the sequences they were exported from
+        const errors = [];
+
+        for (const file of files) {
+            try {
+                let item;
+                if (/\.osc$/i.test(file.fileName)) {
+                    changes.push({ fileName: file.fileName, ...this.parseOSMChange(await file.file.text(), file.fileName) });
+                    continue;
+                } else if (/\.(gpx|tcx|kml|kmz|osm)$/i.test(file.fileName)) {
+                    // GPX, TCX, KML and OSM are always WGS84. OSM files are usually our own JOSM exports sent
+                    // back, so features of loaded sequences are reconciled as edits
+                    const geojson = await this.readXMLFile(file);
+                    item = { fileName: file.fileName, geojson, crs: 'EPSG:4326', reconcile: /\.osm$/i.test(file.fileName) };
+                } else if (/\.csv$/i.test(file.fileName)) {
+                    const records = csvReader.parse(csvReader.decode(await file.file.arrayBuffer()));
+                    if (records.length < 2) {
+                        throw new Error('CSV file must have at least a header row and one data row');
+                    }
+                    item = { fileName: file.fileName, csv: { header: records[0], rows: records.slice(1) } };
+                } else if (/\.(nmea|nma)$/i.test(file.fileName)) {
+                    const fixes = nmeaReader.read(await file.file.text());
+                    if (fixes.length === 0) {
+                        throw new Error('No valid GGA/RMC fixes found in the NMEA log');
+                    }
+                    item = { fileName: file.fileName, geojson: this.buildNMEAFeatures(file.fileName, fixes), crs: 'EPSG:4326' };
+                } else if (/\.fit$/i.test(file.fileName)) {
+                    const fit = fitReader.read(await file.file.arrayBuffer());
+                    item = { fileName: file.fileName, geojson: this.buildFITFeatures(file.fileName, fit), crs: 'EPSG:4326' };
+                } else {
+                    // Assume GeoJSON - streamed, so it never has to fit in a single string. Features are
+                    // grouped as they arrive, so the progress shows how the file splits into sequences.
+                    const features = [];
+                    const sequenceIds = new Set();
+                    const members = await geojsonReader.read(file.file, feature => {
+                        this.tagSourceFile(feature, file.fileName);
+                        sequenceIds.add(this.getSequenceId(feature));
+                        features.push(feature);
+                    }, (percent) => {
+                        if (this.cancelled) {
+                            throw new Error('Import cancelled');
+                        }
+                        if (progressCallback) {
+                            progressCallback(`Reading ${file.fileName} (${features.length} features, ${sequenceIds.size} sequences)`, percent);
+                        }
+                    });
+                    item = { fileName: file.fileName, geojson: { ...members, features }, crs: crsTransformer.getGeoJSONCRS(members.crs), sequenceIds };
+                }
+
+                if (item.geojson && !item.sequenceIds) {
+                    item.geojson.features.forEach(feature => this.tagSourceFile(feature, item.fileName));
+                    item.sequenceIds = new Set(item.geojson.features.map(feature => this.getSequenceId(feature)));
+                }
+
+                this.imports.push(item);
+                const summary = this.summarizeImport(item);
+                summaries.push(summary);
+                if (progressCallback) {
+                    const count = item.csv ? `${summary.csv.rowCount} rows` : `${summary.featureCount} features in ${summary.sequenceCount} sequences`;
+                    progressCallback(`Read ${item.fileName}: ${count}`, 100);
+                }
+            } catch (error) {
+                if (this.cancelled) throw error;
+                errors.push(`${file.fileName}: ${error.message}`);
+            }
+        }
+
+        return { imports: summaries, changes, errors };
+    }
+
+    tagSourceFile(feature, fileName) {
+        // The source file is part of the fallback sequence ID for features without one
+        feature.properties = feature.properties || {};
+        feature.properties._source_file = fileName;
+    }
+
+    summarizeImport(item) {
+        // What the page needs for the import dialogs, without posting every row back
+        if (item.csv) {
+            return {
+                fileName: item.fileName,
+                csv: {
+                    header: item.csv.header,
+                    sampleRows: item.csv.rows.slice(0, 5),
+                    rowCount: item.csv.rows.length
+                }
+            };
+        }
+
+        const propertyNames = new Set();
+        let missingIdCount = 0;
+        item.geojson.features.forEach(feature => {
+            Object.keys(feature.properties || {}).forEach(key => {
+                if (!key.startsWith('_')) propertyNames.add(key);
+            });
+            if (!this.getExplicitSequenceId(feature.properties || {})) missingIdCount++;
+        });
+        return {
+            fileName: item.fileName,
+            featureCount: item.geojson.features.length,
+            sequenceCount: item.sequenceIds.size, // Under the auto grouping
+            propertyNames: Array.from(propertyNames),
+            missingIdCount, // Features that would get a derived ID under the auto grouping
+            crs: item.crs || crsTransformer.detectCRS(item.geojson.features), // null = can't tell
+            crsDetected: !item.crs // false when the file (or its format) declares the coordinate system
+        };
+    }
+
+    countImportSequences(mapping, columns = []) {
+        // Number of sequences the loaded files would produce with the given mapping (import preview)
+        const sequenceIdResolver = this.createSequenceIdResolver(mapping);
+        const ids = new Set();
+        this.imports.forEach((item, index) => {
+            if (item.csv) {
+                if (columns[index] === null) return; // Skipped in the column dialog
+                const { header, rows } = item.csv;
+                const sequenceIdIndex = (columns[index] || this.detectCSVColumns(header)).sequence;
+                rows.forEach((row, rowIndex) => {
+                    ids.add(this.getCSVRowSequenceId(header, row, rowIndex + 1, sequenceIdIndex, sequenceIdResolver));
+                });
+            } else {
+                item.geojson.features.forEach(feature => {
+                    const resolvedId = sequenceIdResolver && sequenceIdResolver(feature.properties || {});
+                    ids.add(resolvedId || this.getSequenceId(feature));
+                });
+            }
+        });
+        return ids.size;
+    }
+
+    async buildImport({ mapping, columns = [], crs = 'auto', existingKeys = [] }, progressCallback = null) {
+        // Builds the new features and finds those already loaded. They stay in the session until mergeImport.
+        // crs: source coordinate system for files that don't declare one ('auto' = detect)
+        // existingKeys: getFeatureKey of each loaded feature - the page never sends the features themselves
+        const sequenceIdResolver = this.createSequenceIdResolver(mapping);
+        const importedAt = new Date().toISOString();
+        const existingIds = this.imports.some(item => item.reconcile) ?
+            new Set(existingKeys.map(key => key.sequenceId)) : new Set();
+        const edits = {}; // Sequence ID -> features replacing that loaded sequence's geometry
+        const features = [];
+        const errors = [];
+        let loadedCount = 0;
+
+        for (let index = 0; index < this.imports.length; index++) {
+            const item = this.imports[index];
+            try {
+                let geojson = item.geojson;
+                if (item.csv) {
+                    if (columns[index] === null) continue; // Skipped in the column dialog
+                    geojson = await this.buildCSVFeatures(item.csv.header, item.csv.rows, {
+                        columns: columns[index],
+                        sequenceIdResolver
+                    }, (progress) => {
+                        if (progressCallback) progressCallback(`Processing ${item.fileName}`, progress);
+                    });
+                    geojson.features.forEach(feature => {
+                        feature.properties._source_file = item.fileName;
+                    });
+                }
+
+                // Reproject to WGS84 before anything compares geometries
+                const sourceCRS = item.crs || (crs !== 'auto' ? crs : crsTransformer.detectCRS(geojson.features));
+                if (!sourceCRS) {
+                    throw new Error('Coordinates are not longitude/latitude - choose the source coordinate system in the import options');
+                }
+                crsTransformer.reprojectFeatures(geojson.features, sourceCRS);
+
+                if (!item.csv && sequenceIdResolver) {
+                    // Record the mapped ID on the feature so the grouping survives reloads
+                    geojson.features.forEach(feature => {
+                        const resolvedId = sequenceIdResolver(feature.properties);
+                        if (resolvedId) {
+                            feature.properties._sequence_id = resolvedId;
+                        }
+                    });
+                }
+                // Source tracking: import time, and the position in the source file (CSV features
+                // already carry their first row), which with the file name identifies a feature across re-uploads
+                geojson.features.forEach((feature, featureIndex) => {
+                    feature.properties._imported_at = importedAt;
+                    if (feature.properties._source_index === undefined) {
+                        feature.properties._source_index = featureIndex;
+                    }
+                });
+                geojson.features.forEach(feature => {
+                    const sequenceId = this.getSequenceId(feature);
+                    if (item.reconcile && existingIds.has(sequenceId)) {
+                        if (!edits[sequenceId]) edits[sequenceId] = [];
+                        edits[sequenceId].push(feature);
+                    } else {
+                        features.push(feature);
+                    }
+                });
+                loadedCount++;
+            } catch (error) {
+                if (this.cancelled) throw error;
+                errors.push(`${item.fileName}: ${error.message}`);
+            }
+        }
+
+        if (progressCallback) progressCallback('Checking for duplicates', 0);
+        const keys = features.map(feature => this.getFeatureKey(feature));
+        const duplicates = this.findDuplicates(existingKeys, keys);
+        this.imports = [];
+        this.built = { existingKeys, features, keys, duplicates, edits };
+
+        return {
+            featureCount: features.length,
+            duplicateCount: duplicates.newIndexes.length,
+            editCount: Object.keys(edits).length,
+            loadedCount,
+            errors
+        };
+    }
+
+    getFeatureKey(feature) {
+        // What an import needs to know about a loaded feature: its group (see getGroupKey), and for
+        // duplicate checks its source file and position and a hash of its geometry
+        const properties = feature.properties || {};
+        return {
+            ...this.getGroupKey(feature),
+            source: properties._source_file && properties._source_index !== undefined ?
+                `${properties._source_file}#${properties._source_index}` : null,
+            geometry: this.hashString(JSON.stringify(feature.geometry || null))
+        };
+    }
+
+    getGroupKey(feature) {
+        // Sequence ID and the feature's share of the group stats (see calculateStats)
+        const stats = this.calculateStats([feature]);
+        return { sequenceId: this.getSequenceId(feature), nodes: stats.nodes, ways: stats.ways };
+    }
+
+    findDuplicates(existingKeys, keys) {
+        // A new feature duplicates a loaded one with the same source file and position, or the same geometry
+        const existingBySource = new Map();
+        const existingByGeometry = new Map();
+        const addKey = (map, key, index) => {
+            if (!key) return;
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(index);
+        };
+        existingKeys.forEach((key, index) => {
+            addKey(existingBySource, key.source, index);
+            addKey(existingByGeometry, key.geometry, index);
+        });
+
+        const newIndexes = [];
+        const existingIndexes = new Set();
+        keys.forEach((key, index) => {
+            const matches = [
+                ...(existingBySource.get(key.source) || []),
+                ...(existingByGeometry.get(key.geometry) || [])
+            ];
+            if (matches.length > 0) {
+                newIndexes.push(index);
+                matches.forEach(match => existingIndexes.add(match));
+            }
+        });
+
+        return { newIndexes, existingIndexes: Array.from(existingIndexes) };
+    }
+
+    mergeImport(duplicates = 'append', progressCallback = null) {
+        // duplicates: 'skip' drops the new copies, 'replace' drops the loaded copies, 'append' keeps both.
+        // Groups reference features by index into [...kept existing features, ...features].
+        // keys: getFeatureKey of each new feature, for the page to send with its next import.
+        // edits: sequence ID -> features of reconciled files, for the page to apply as edited geometry.
+        if (!this.built) {
+            throw new Error('Nothing to merge - build the import first');
+        }
+        const { existingKeys, duplicates: found, edits } = this.built;
+        let { features, keys } = this.built;
+        let removedExisting = [];
+
+        if (duplicates === 'skip') {
+            const skipped = new Set(found.newIndexes);
+            features = features.filter((feature, index) => !skipped.has(index));
+            keys = keys.filter((key, index) => !skipped.has(index));
+        } else if (duplicates === 'replace') {
+            removedExisting = found.existingIndexes;
+        }
+
+        if (progressCallback) progressCallback('Grouping sequences', 0);
+        const removed = new Set(removedExisting);
+        const keptExisting = existingKeys.filter((key, index) => !removed.has(index));
+        const groups = this.groupFeatureKeys(keptExisting.concat(keys));
+        this.built = null;
+
+        return { features, keys, removedExisting, groups, edits };
+    }
+
+    groupFeatures(features) {
+        // Group features by sequence ID -> [{ id, indexes, stats }]
+        return this.groupFeatureKeys(features.map(feature => this.getGroupKey(feature)));
+    }
+
+    groupFeatureKeys(keys) {
+        // Same as groupFeatures, from the features' group keys
+        const groupMap = new Map();
+        keys.forEach((key, index) => {
+            if (!groupMap.has(key.sequenceId)) {
+                groupMap.set(key.sequenceId, { id: key.sequenceId, indexes: [], stats: { features: 0, nodes: 0, ways: 0 } });
+            }
+            const group = groupMap.get(key.sequenceId);
+            group.indexes.push(index);
+            group.stats.features++;
+            group.stats.nodes += key.nodes;
+            group.stats.ways += key.ways;
+        });
+
+        return Array.from(groupMap.values());
+    }
+
+    async yieldToBrowser() {
+        // Only the main-thread fallback needs to yield; the worker can run flat out
+        if (typeof window !== 'undefined') {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        if (this.cancelled) {
+            throw new Error('Import cancelled');
+        }
+    }
+
+    async parseCSV(csvText, options = {}, progressCallback = null) {
+        const records = csvReader.parse(csvText);
+        if (records.length < 2) {
+            throw new Error('CSV file must have at least a header row and one data row');
+        }
+        return this.buildCSVFeatures(records[0], records.slice(1), options, progressCallback);
+    }
+
+    async buildCSVFeatures(header, rows, options = {}, progressCallback = null) {
+        // Turns CSV rows into one feature per sequence - processes in chunks
+        // options: { columns, sequenceIdResolver } - both optional
+        // Columns chosen in the mapping dialog (with its splitGap, in minutes), or guessed from the header names
+        const columns = options.columns || this.detectCSVColumns(header);
+        const latLongArrayIndex = columns.latLongArray;
+        const latIndex = columns.lat;
+        const lonIndex = columns.lon;
+        const sequenceIdIndex = columns.sequence;
+        const timestampIndex = columns.timestamp;
+        const geometryIndex = columns.geometry ?? -1; // Mappings saved before geometry columns existed lack it
+
+        // Check if we have lat_long_array format, a geometry column or separate lat/lon columns
+        if (latLongArrayIndex === -1 && geometryIndex === -1 && (latIndex === -1 || lonIndex === -1)) {
+            throw new Error('CSV must contain either:\n1. A lat_long_array column with coordinate arrays, OR\n2. A geometry column (WKT or encoded polyline), OR\n3. Separate latitude and longitude columns');
+        }
+
+        // Group rows by sequence ID - process in chunks
+        const sequenceMap = new Map();
+        const totalRows = rows.length;
+        const chunkSize = 1000; // Process 1000 rows at a time
+        
+        for (let start = 0; start < rows.length; start += chunkSize) {
+            const end = Math.min(start + chunkSize, rows.length);
+            
+            for (let i = start; i < end; i++) {
+                const row = rows[i];
+                if (row.length === 0) continue;
+                
+                // Get sequence ID (row numbers count the header as row 0)
+                const sequenceId = this.getCSVRowSequenceId(header, row, i + 1, sequenceIdIndex, options.sequenceIdResolver);
+                
+                if (!sequenceMap.has(sequenceId)) {
+                    sequenceMap.set(sequenceId, {
+                        id: sequenceId,
+                        coordinates: [],
+                        times: [],
+                        rows: [], // Data row number of each coordinate
+                        geometries: [], // { geometry, row, properties } from the geometry column
+                        properties: {},
+                        rowCount: 0
+                    });
+                }
+                
+                const sequence = sequenceMap.get(sequenceId);
+                sequence.rowCount++;
+                
+                // Merge properties
+                if (sequence.rowCount === 1) {
+                    header.forEach((colName, idx) => {
+                        // The geometry text would only duplicate the geometry
+                        if (idx !== geometryIndex && row[idx] && row[idx].trim()) {
+                            sequence.properties[colName.trim()] = row[idx].trim();
+                        }
+                    });
+                } else {
+                    header.forEach((colName, idx) => {
+                        const colLower = colName.toLowerCase().trim();
+                        if (row[idx] && row[idx].trim()) {
+                            if (colLower === 'bookingcodes' || colLower === 'wheels') {
+                                try {
+                                    const existing = JSON.parse(sequence.properties[colName] || '[]');
+                                    const newArray = JSON.parse(row[idx].trim());
+                                    if (Array.isArray(existing) && Array.isArray(newArray)) {
+                                        const merged = [...new Set([...existing, ...newArray])];
+                                        sequence.properties[colName] = JSON.stringify(merged);
+                                    }
+                                } catch (e) {
+                                    // Keep existing value if merge fails
+                                }
+                            }
+                        }
+                    });
+                }
+                
+                // A geometry column value is a whole line (or point) - the row becomes a feature of its own
+                const geometry = geometryIndex >= 0 && row[geometryIndex] ? this.parseCSVGeometry(row[geometryIndex]) : null;
+                if (geometry) {
+                    const properties = this.csvRowToProperties(header, row);
+                    delete properties[header[geometryIndex].trim()];
+                    sequence.geometries.push({ geometry, row: i + 1, properties });
+                    continue;
+                }
+                
+                // Extract coordinates
+                let rowCoordinates = [];
+                if (latLongArrayIndex >= 0 && row[latLongArrayIndex]) {
+                    try {
+                        const arrayStr = row[latLongArrayIndex].trim();
+                        const coordArray = JSON.parse(arrayStr);
+                        if (Array.isArray(coordArray)) {
+                            rowCoordinates = coordArray.map(coord => {
+                                if (Array.isArray(coord) && coord.length >= 2) {
+                                    return [parseFloat(coord[1]), parseFloat(coord[0])];
+                                }
+                                return null;
+                            }).filter(coord => coord !== null && !isNaN(coord[0]) && !isNaN(coord[1]));
+                        }
+                    } catch (e) {
+                        // Skip invalid coordinates
+                    }
+                } else if (latIndex >= 0 && lonIndex >= 0) {
+                    const lat = parseFloat(row[latIndex]);
+                    const lon = parseFloat(row[lonIndex]);
+                    if (!isNaN(lat) && !isNaN(lon)) {
+                        rowCoordinates = [[lon, lat]];
+                    }
+                }
+                
+                if (rowCoordinates.length > 0) {
+                    sequence.coordinates.push(...rowCoordinates);
+                    // A row timestamp only applies when the row is a single point
+                    const time = timestampIndex >= 0 && rowCoordinates.length === 1 ? this.parseCSVTimestamp(row[timestampIndex]) : null;
+                    rowCoordinates.forEach(() => {
+                        sequence.times.push(time);
+                        sequence.rows.push(i + 1);
+                    });
+                }
+            }
+            
+            // Update progress and yield to browser
+            if (progressCallback) {
+                const progress = Math.round((end / totalRows) * 100);
+                progressCallback(progress);
+            }
+            
+            await this.yieldToBrowser();
+        }
+
+        // Convert sequences to features. Rows in a dump aren't necessarily in order, so points with a
+        // timestamp are sorted chronologically; a sequence may also be split into separate ways at time gaps.
+        const splitGapMs = (columns.splitGap || 0) * 60 * 1000;
+        const features = [];
+        sequenceMap.forEach((sequence) => {
+            sequence.properties.sequence_id = sequence.id;
+            sequence.geometries.forEach(({ geometry, row, properties }) => {
+                features.push({
+                    type: 'Feature',
+                    geometry: geometry,
+                    properties: { ...properties, sequence_id: sequence.id, _source_index: row }
+                });
+            });
+            if (sequence.coordinates.length === 0) return;
+            
+            const points = sequence.coordinates.map((coord, index) => ({
+                coord: coord,
+                time: sequence.times[index],
+                row: sequence.rows[index]
+            }));
+            const hasTimes = points.some(point => point.time);
+            if (hasTimes) {
+                this.sortPointsByTime(points);
+            }
+            const parts = hasTimes && splitGapMs > 0 ? this.splitPointsAtTimeGaps(points, splitGapMs) : [points];
+            
+            parts.forEach(part => {
+                // Each part keeps the number of its first data row, so re-uploads still match it
+                const properties = {
+                    ...sequence.properties,
+                    _source_index: part.reduce((first, point) => Math.min(first, point.row), Infinity)
+                };
+                const times = part.map(point => point.time);
+                const partHasTimes = times.some(time => time);
+                
+                if (part.length === 1) {
+                    if (partHasTimes) {
+                        properties.time = times[0];
+                    }
+                    features.push({
+                        type: 'Feature',
+                        geometry: {
+                            type: 'Point',
+                            coordinates: part[0].coord
+                        },
+                        properties: properties
+                    });
+                } else {
+                    if (partHasTimes) {
+                        properties.coordTimes = times;
+                    }
+                    features.push({
+                        type: 'Feature',
+                        geometry: {
+                            type: 'LineString',
+                            coordinates: part.map(point => point.coord)
+                        },
+                        properties: properties
+                    });
+                }
+            });
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    buildNMEAFeatures(fileName, fixes, maxGapMs = 5 * 60 * 1000) {
+        // NMEA fixes -> one line per stretch of logging: a log becomes a new sequence after a time gap
+        // (e.g. the vehicle was parked), and each file is its own set of sequences
+        const points = fixes.map(fix => ({
+            coord: fix.altitude === null ? [fix.lon, fix.lat] : [fix.lon, fix.lat, fix.altitude],
+            time: fix.time,
+            hdop: fix.hdop,
+            speed: fix.speed,
+            extensions: fix.quality !== null ? { fix_quality: fix.quality, satellites: fix.satellites } : null,
+            elapsed: fix.elapsed
+        }));
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        const features = [];
+
+        // Gaps are measured on the time of day (see nmeaReader.assignTimes), as GGA-only logs have no date
+        const getTime = (point) => (point.elapsed !== null ? point.elapsed * 1000 : null);
+        this.splitPointsAtTimeGaps(points, maxGapMs, getTime).forEach((part, partIndex) => {
+            features.push(this.createTrackFeature(part, `${baseName}_${partIndex + 1}`));
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    buildFITFeatures(fileName, fit) {
+        // A Garmin FIT activity (see fit-reader.js) -> a single track. The sequence ID is the activity's
+        // start time, or the file name when the file has none (like NMEA logs)
+        const points = fit.points.map(point => {
+            const extensions = {};
+            if (point.heartRate !== null) extensions.hr = point.heartRate;
+            if (point.cadence !== null) extensions.cad = point.cadence;
+            return {
+                coord: point.altitude === null ? [point.lon, point.lat] : [point.lon, point.lat, point.altitude],
+                time: point.time,
+                hdop: null,
+                speed: point.speed,
+                extensions: Object.keys(extensions).length > 0 ? extensions : null
+            };
+        });
+        if (points.length === 0) {
+            throw new Error('FIT file has no positions (indoor activity?)');
+        }
+
+        return {
+            type: 'FeatureCollection',
+            features: [this.createTrackFeature(points, fit.startTime || fileName.replace(/\.[^.]+$/, ''))]
+        };
+    }
+
+    createTrackFeature(points, sequenceId) {
+        // Track points ({ coord, time, hdop, speed, extensions }) -> a line with the same per-coordinate
+        // arrays as a GPX track (coordTimes, coordHdops, ...), or a point if there is only one
+        if (points.length === 1) {
+            const properties = { sequence_id: sequenceId };
+            ['time', 'hdop', 'speed', 'extensions'].forEach(key => {
+                if (points[0][key] !== null && points[0][key] !== undefined) properties[key] = points[0][key];
+            });
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: points[0].coord },
+                properties: properties
+            };
+        }
+
+        const properties = { sequence_id: sequenceId };
+        const arrays = { coordTimes: 'time', coordHdops: 'hdop', coordSpeeds: 'speed', coordExtensions: 'extensions' };
+        Object.entries(arrays).forEach(([name, key]) => {
+            const values = points.map(point => point[key]);
+            if (values.some(value => value !== null)) {
+                properties[name] = values;
+            }
+        });
+        return {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: points.map(point => point.coord) },
+            properties: properties
+        };
+    }
+
+    async readXMLFile(file) {
+        // GPX, TCX, KML/KMZ and OSM files -> GeoJSON (see xml-reader.js - DOMParser isn't available in the worker)
+        const fileName = file.fileName.toLowerCase();
+        if (fileName.endsWith('.kmz')) {
+            return this.parseKMZ(await file.file.arrayBuffer());
+        }
+        const text = await file.file.text();
+        if (fileName.endsWith('.gpx')) {
+            return this.parseGPX(text);
+        } else if (fileName.endsWith('.tcx')) {
+            return this.parseTCX(text);
+        } else if (fileName.endsWith('.kml')) {
+            return this.parseKML(text);
+        }
+        return this.parseOSM(text, file.fileName);
+    }
+
+    parseXML(text, format) {
+        try {
+            return xmlReader.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid ${format}: the file is not well-formed XML - ${error.message}`);
+        }
+    }
+
+    parseGPX(gpxText) {
+        // Parse GPX XML to GeoJSON format. Elevation becomes the coordinate z; time, hdop, speed and
+        // extensions become per-coordinate arrays (coordTimes, coordHdops, ...) alongside the line
+        const xmlDoc = this.parseXML(gpxText, 'GPX');
+
+        const features = [];
+
+        // Parse tracks
+        const tracks = xmlDoc.getElementsByTagName('trk');
+        for (const track of tracks) {
+            const segments = track.getElementsByTagName('trkseg');
+            for (const segment of segments) {
+                const points = Array.from(segment.getElementsByTagName('trkpt'))
+                    .map(point => this.parseGPXPoint(point))
+                    .filter(point => point);
+
+                if (points.length > 0) {
+                    features.push(this.createTrackFeature(points, this.extractSequenceIdFromGPX(track) || `gpx_track_${features.length + 1}`));
+                }
+            }
+        }
+
+        // Parse routes
+        const routes = xmlDoc.getElementsByTagName('rte');
+        for (const route of routes) {
+            const points = Array.from(route.getElementsByTagName('rtept'))
+                .map(point => this.parseGPXPoint(point))
+                .filter(point => point);
+
+            if (points.length > 0) {
+                features.push(this.createTrackFeature(points, this.extractSequenceIdFromGPX(route) || `gpx_route_${features.length + 1}`));
+            }
+        }
+
+        // Parse waypoints as points
+        const waypoints = xmlDoc.getElementsByTagName('wpt');
+        for (const waypoint of waypoints) {
+            const point = this.parseGPXPoint(waypoint);
+            if (point) {
+                const nameEl = waypoint.getElementsByTagName('name')[0];
+                const name = nameEl ? nameEl.textContent : '';
+                const properties = {
+                    name: name,
+                    sequence_id: name || `gpx_waypoint_${features.length + 1}`
+                };
+                ['time', 'hdop', 'speed', 'extensions'].forEach(key => {
+                    if (point[key] !== null) properties[key] = point[key];
+                });
+
+                features.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: point.coord
+                    },
+                    properties: properties
+                });
+            }
+        }
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    parseGPXPoint(point) {
+        // Reads a trkpt/rtept/wpt into { coord, time, hdop, speed, extensions }, or null without a valid position
+        const lat = parseFloat(point.getAttribute('lat'));
+        const lon = parseFloat(point.getAttribute('lon'));
+        if (isNaN(lat) || isNaN(lon)) return null;
+
+        // Direct children only, so e.g. a <time> inside <extensions> isn't mistaken for the point's time
+        const children = {};
+        Array.from(point.children).forEach(child => {
+            children[child.localName] = child;
+        });
+        const readNumber = (el) => {
+            const value = el ? parseFloat(el.textContent) : NaN;
+            return isNaN(value) ? null : value;
+        };
+
+        const ele = readNumber(children.ele);
+        const extensions = children.extensions ? this.extractGPXExtensions(children.extensions) : {};
+
+        // GPX 1.0 has <speed> on the point; GPX 1.1 writers put it in <extensions> instead
+        let speed = readNumber(children.speed);
+        if ('speed' in extensions) {
+            if (speed === null && typeof extensions.speed === 'number') speed = extensions.speed;
+            delete extensions.speed;
+        }
+
+        return {
+            coord: ele === null ? [lon, lat] : [lon, lat, ele],
+            time: (children.time && children.time.textContent.trim()) || null,
+            hdop: readNumber(children.hdop),
+            speed: speed,
+            extensions: Object.keys(extensions).length > 0 ? extensions : null
+        };
+    }
+
+    extractGPXExtensions(element) {
+        // Flattens extension values by local name, e.g. <gpxtpx:TrackPointExtension><gpxtpx:hr>120</gpxtpx:hr> -> { hr: 120 }
+        const values = {};
+        for (const el of element.getElementsByTagName('*')) {
+            if (el.children.length > 0) continue;
+            const text = el.textContent.trim();
+            if (!text) continue;
+            values[el.localName] = isNaN(Number(text)) ? text : Number(text);
+        }
+        return values;
+    }
+
+    parseTCX(tcxText) {
+        // Parse Garmin Training Center XML to GeoJSON format. Each Track of an Activity (one per lap)
+        // or Course becomes a line, with the same per-coordinate arrays as GPX
+        const xmlDoc = this.parseXML(tcxText, 'TCX');
+
+        const features = [];
+        const containers = [
+            ...Array.from(xmlDoc.getElementsByTagNameNS('*', 'Activity')),
+            ...Array.from(xmlDoc.getElementsByTagNameNS('*', 'Course'))
+        ];
+        containers.forEach((container, containerIndex) => {
+            // An Activity's Id is its start time; a Course has a Name
+            const idEl = Array.from(container.children).find(el => el.localName === 'Id' || el.localName === 'Name');
+            const sequenceId = (idEl && idEl.textContent.trim()) || `tcx_activity_${containerIndex + 1}`;
+
+            for (const track of container.getElementsByTagNameNS('*', 'Track')) {
+                const points = Array.from(track.getElementsByTagNameNS('*', 'Trackpoint'))
+                    .map(trackpoint => this.parseTCXTrackpoint(trackpoint))
+                    .filter(point => point);
+                if (points.length > 0) {
+                    features.push(this.createTrackFeature(points, sequenceId));
+                }
+            }
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    parseTCXTrackpoint(trackpoint) {
+        // Trackpoint -> the same shape as parseGPXPoint; points without a Position (e.g. paused) are skipped
+        const readNumber = (name) => {
+            const el = trackpoint.getElementsByTagNameNS('*', name)[0];
+            const value = el ? parseFloat(el.textContent) : NaN;
+            return isNaN(value) ? null : value;
+        };
+        const lat = readNumber('LatitudeDegrees');
+        const lon = readNumber('LongitudeDegrees');
+        if (lat === null || lon === null) return null;
+
+        const ele = readNumber('AltitudeMeters');
+        const timeEl = trackpoint.getElementsByTagNameNS('*', 'Time')[0];
+        // Heart rate and cadence use the Garmin GPX extension names, so a GPX export keeps them
+        const extensions = {};
+        const heartRate = readNumber('Value'); // HeartRateBpm/Value
+        const cadence = readNumber('Cadence') ?? readNumber('RunCadence');
+        if (heartRate !== null) extensions.hr = heartRate;
+        if (cadence !== null) extensions.cad = cadence;
+
+        return {
+            coord: ele === null ? [lon, lat] : [lon, lat, ele],
+            time: (timeEl && timeEl.textContent.trim()) || null,
+            hdop: null,
+            speed: readNumber('Speed'), // TPX extension, m/s
+            extensions: Object.keys(extensions).length > 0 ? extensions : null
+        };
+    }
+
+    parseOSM(osmText, fileName) {
+        // Parse OSM XML (.osm, e.g. a generateJOSM export saved by JOSM) to GeoJSON.
+        // Ways become LineStrings and nodes outside any way become Points; tags become properties.
+        const xmlDoc = this.parseXML(osmText, 'OSM file');
+        const root = xmlDoc.documentElement;
+        if (root.nodeName === 'osmChange') {
+            throw new Error('This is an osmChange file - give it the .osc extension to apply it to its sequence');
+        }
+        if (root.nodeName !== 'osm') {
+            throw new Error('Invalid OSM file: expected an <osm> document');
+        }
+
+        const sequenceId = this.getExportSequenceId(root, fileName); // A sequence_id tag still wins
+
+        // JOSM keeps deleted objects in its .osm files, marked action="delete"
+        const isDeleted = (el) => el.getAttribute('action') === 'delete';
+        const readTags = (el) => this.readOSMTags(el);
+
+        const features = [];
+        const createFeature = (geometry, tags) => {
+            features.push({
+                type: 'Feature',
+                geometry: geometry,
+                properties: sequenceId ? { sequence_id: sequenceId, ...tags } : tags
+            });
+        };
+
+        const nodes = new Map();
+        for (const node of xmlDoc.getElementsByTagName('node')) {
+            const lat = parseFloat(node.getAttribute('lat'));
+            const lon = parseFloat(node.getAttribute('lon'));
+            if (isDeleted(node) || isNaN(lat) || isNaN(lon)) continue;
+            nodes.set(node.getAttribute('id'), { coord: [lon, lat], tags: readTags(node), used: false });
+        }
+
+        // Ways referencing nodes that aren't in the file (incomplete ways) keep only the nodes present
+        for (const way of xmlDoc.getElementsByTagName('way')) {
+            if (isDeleted(way)) continue;
+            const coordinates = [];
+            Array.from(way.getElementsByTagName('nd')).forEach(nd => {
+                const node = nodes.get(nd.getAttribute('ref'));
+                if (node) {
+                    node.used = true;
+                    coordinates.push(node.coord);
+                }
+            });
+            if (coordinates.length > 1) {
+                createFeature({ type: 'LineString', coordinates: coordinates }, readTags(way));
+            }
+        }
+
+        nodes.forEach(node => {
+            if (!node.used) {
+                createFeature({ type: 'Point', coordinates: node.coord }, node.tags);
+            }
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    parseOSMChange(oscText, fileName) {
+        // Parse an osmChange (.osc) made from a generateJOSM export into { sequenceId, create, modify, delete },
+        // each { nodes: [{ id, lat, lon, tags }], ways: [{ id, refs, tags }] }. The geometry it changes is on
+        // the page, which applies it (see TaskManager.applyOSMChange); relations are ignored.
+        const xmlDoc = this.parseXML(oscText, 'osmChange file');
+        const root = xmlDoc.documentElement;
+        if (root.nodeName !== 'osmChange') {
+            throw new Error('Invalid osmChange file: expected an <osmChange> document');
+        }
+
+        const sequenceId = this.getExportSequenceId(root, fileName);
+        if (!sequenceId) {
+            throw new Error('no sequence to apply it to - keep the name of the export (sequence_<id>.osc)');
+        }
+
+        const change = { sequenceId };
+        ['create', 'modify', 'delete'].forEach(action => {
+            const block = { nodes: [], ways: [] };
+            root.children.filter(el => el.nodeName === action).forEach(actionEl => {
+                actionEl.children.forEach(el => {
+                    const id = el.getAttribute('id');
+                    if (el.nodeName === 'node') {
+                        block.nodes.push({
+                            id: id,
+                            lat: parseFloat(el.getAttribute('lat')),
+                            lon: parseFloat(el.getAttribute('lon')),
+                            tags: this.readOSMTags(el)
+                        });
+                    } else if (el.nodeName === 'way') {
+                        const refs = el.getElementsByTagName('nd').map(nd => nd.getAttribute('ref'));
+                        block.ways.push({ id: id, refs: refs, tags: this.readOSMTags(el) });
+                    }
+                });
+            });
+            change[action] = block;
+        });
+
+        const invalid = change.create.nodes.concat(change.modify.nodes).find(node => isNaN(node.lat) || isNaN(node.lon));
+        if (invalid) {
+            throw new Error(`Invalid osmChange file: node ${invalid.id} has no position`);
+        }
+        return change;
+    }
+
+    getExportSequenceId(root, fileName) {
+        // generateJOSM only writes the highway tag (anything else would be uploaded to OSM), so the
+        // sequence comes from its "Sequence ID" comment or, as JOSM drops comments when saving, from
+        // the export's file name (sequence_<id>.osm, also JOSM's default, or .osc when saved as a change)
+        let sequenceId = null;
+        root.childNodes.forEach(child => {
+            const match = child.nodeType === 8 && child.nodeValue.match(/^\s*Sequence ID:\s*(.+?)\s*$/);
+            if (match) sequenceId = match[1];
+        });
+        if (!sequenceId && fileName) {
+            const match = fileName.split('/').pop().match(/^sequence_(.+?)(?: \(\d+\))?\.(?:osm|osc)$/i);
+            if (match) sequenceId = match[1];
+        }
+        return sequenceId;
+    }
+
+    readOSMTags(el) {
+        const tags = {};
+        el.getElementsByTagName('tag').forEach(tag => {
+            tags[tag.getAttribute('k')] = tag.getAttribute('v');
+        });
+        return tags;
+    }
+
+    extractSequenceIdFromGPX(element) {
+        // Try to find sequence ID in name, desc, or extensions
+        const nameEl = element.getElementsByTagName('name')[0];
+        if (nameEl) {
+            const name = nameEl.textContent.trim();
+            // Check if name contains a sequence ID pattern
+            const seqMatch = name.match(/(?:sequence[_\s]?id|seq[_\s]?id|id)[:\s=]+(\d+)/i);
+            if (seqMatch) {
+                return seqMatch[1];
+            }
+            // If name is just a number, use it as sequence ID
+            if (/^\d+$/.test(name)) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    parseKML(kmlText) {
+        // Parse KML (Google Earth) XML to GeoJSON format
+        const xmlDoc = this.parseXML(kmlText, 'KML');
+
+        const features = [];
+
+        // KML elements live in the KML namespace and gx:Track in the Google extension namespace,
+        // so look them up by local name regardless of prefix
+        const placemarks = xmlDoc.getElementsByTagNameNS('*', 'Placemark');
+        Array.from(placemarks).forEach((placemark, placemarkIndex) => {
+            const nameEl = Array.from(placemark.children).find(el => el.localName === 'name');
+            const name = nameEl ? nameEl.textContent.trim() : '';
+            const extendedData = this.extractKMLExtendedData(placemark);
+            const sequenceId = this.extractSequenceIdFromKML(placemark, extendedData) ||
+                name ||
+                `kml_placemark_${placemarkIndex + 1}`;
+
+            const createFeature = (geometry, extraProperties = {}) => {
+                features.push({
+                    type: 'Feature',
+                    geometry: geometry,
+                    properties: {
+                        ...extendedData,
+                        ...extraProperties,
+                        name: name,
+                        sequence_id: sequenceId
+                    }
+                });
+            };
+
+            // LineStrings (also found inside MultiGeometry)
+            for (const lineString of placemark.getElementsByTagNameNS('*', 'LineString')) {
+                const coordinatesEl = lineString.getElementsByTagNameNS('*', 'coordinates')[0];
+                const coordinates = coordinatesEl ? this.parseKMLCoordinates(coordinatesEl.textContent) : [];
+                if (coordinates.length > 1) {
+                    createFeature({ type: 'LineString', coordinates: coordinates });
+                } else if (coordinates.length === 1) {
+                    createFeature({ type: 'Point', coordinates: coordinates[0] });
+                }
+            }
+
+            // Points (also found inside MultiGeometry)
+            for (const point of placemark.getElementsByTagNameNS('*', 'Point')) {
+                const coordinatesEl = point.getElementsByTagNameNS('*', 'coordinates')[0];
+                const coordinates = coordinatesEl ? this.parseKMLCoordinates(coordinatesEl.textContent) : [];
+                if (coordinates.length > 0) {
+                    createFeature({ type: 'Point', coordinates: coordinates[0] });
+                }
+            }
+
+            // gx:Track (also found inside gx:MultiTrack) - <when> and <gx:coord> elements pair up by index
+            for (const track of placemark.getElementsByTagNameNS('*', 'Track')) {
+                const whens = Array.from(track.getElementsByTagNameNS('*', 'when')).map(el => el.textContent.trim());
+                const coordinates = [];
+                const coordTimes = [];
+
+                Array.from(track.getElementsByTagNameNS('*', 'coord')).forEach((coordEl, index) => {
+                    const [lon, lat, alt] = coordEl.textContent.trim().split(/\s+/).map(parseFloat);
+                    if (!isNaN(lat) && !isNaN(lon)) {
+                        coordinates.push(isNaN(alt) ? [lon, lat] : [lon, lat, alt]);
+                        coordTimes.push(whens[index] || null);
+                    }
+                });
+
+                const hasTimes = coordTimes.some(time => time);
+                if (coordinates.length > 1) {
+                    createFeature({ type: 'LineString', coordinates: coordinates }, hasTimes ? { coordTimes: coordTimes } : {});
+                } else if (coordinates.length === 1) {
+                    createFeature({ type: 'Point', coordinates: coordinates[0] }, hasTimes ? { time: coordTimes[0] } : {});
+                }
+            }
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    async parseKMZ(arrayBuffer) {
+        // KMZ is a ZIP archive holding the KML document (usually doc.kml) plus resources such as icons
+        const kmlEntries = archiveReader.listZipEntries(arrayBuffer)
+            .filter(entry => entry.name.toLowerCase().endsWith('.kml'));
+
+        if (kmlEntries.length === 0) {
+            throw new Error('KMZ archive does not contain a KML file');
+        }
+
+        const features = [];
+        const decoder = new TextDecoder();
+        for (const entry of kmlEntries) {
+            const kmlText = decoder.decode(await archiveReader.readZipEntry(arrayBuffer, entry));
+            features.push(...this.parseKML(kmlText).features);
+        }
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+
+    parseKMLCoordinates(text) {
+        // KML coordinates are whitespace-separated "lon,lat[,alt]" tuples
+        return text.trim().split(/\s+/).map(tuple => {
+            const [lon, lat, alt] = tuple.split(',').map(parseFloat);
+            if (isNaN(lat) || isNaN(lon)) return null;
+            return isNaN(alt) ? [lon, lat] : [lon, lat, alt];
+        }).filter(coord => coord !== null);
+    }
+
+    extractKMLExtendedData(placemark) {
+        // Collect <Data name="..."><value> and <SchemaData><SimpleData name="..."> entries
+        const data = {};
+        const extendedDataEl = Array.from(placemark.children).find(el => el.localName === 'ExtendedData');
+        if (!extendedDataEl) return data;
+
+        for (const dataEl of extendedDataEl.getElementsByTagNameNS('*', 'Data')) {
+            const key = dataEl.getAttribute('name');
+            const valueEl = dataEl.getElementsByTagNameNS('*', 'value')[0];
+            if (key && valueEl) {
+                data[key] = valueEl.textContent.trim();
+            }
+        }
+        for (const simpleDataEl of extendedDataEl.getElementsByTagNameNS('*', 'SimpleData')) {
+            const key = simpleDataEl.getAttribute('name');
+            if (key) {
+                data[key] = simpleDataEl.textContent.trim();
+            }
+        }
+
+        return data;
+    }
+
+    extractSequenceIdFromKML(placemark, extendedData) {
+        // Prefer an explicit sequence ID field in ExtendedData
+        const seqIdNames = ['sequence_id', 'sequenceid', 'sequence', 'seq', 'id'];
+        const seqKey = Object.keys(extendedData).find(key => seqIdNames.includes(key.toLowerCase()));
+        if (seqKey && extendedData[seqKey]) {
+            return extendedData[seqKey];
+        }
+
+        // Otherwise look for a sequence ID pattern in the Placemark name, as for GPX
+        return this.extractSequenceIdFromGPX(placemark);
+    }
+
+    parseCSVGeometry(text) {
+        // A geometry cell: WKT/EWKT, or a Google encoded polyline. Polylines are tried at precision 5
+        // and, if that lands outside lon/lat range, at precision 6 (OSRM/Valhalla "polyline6").
+        const value = text.trim();
+        if (!value) return null;
+        if (/^(SRID=\d+;\s*)?[A-Z]+\s*(ZM|Z|M)?\s*\(/i.test(value)) {
+            return this.parseWKT(value);
+        }
+
+        const inRange = (coordinates) => coordinates.every(([lon, lat]) => Math.abs(lon) <= 180 && Math.abs(lat) <= 90);
+        let coordinates = this.decodePolyline(value, 5);
+        if (coordinates && !inRange(coordinates)) {
+            coordinates = this.decodePolyline(value, 6);
+        }
+        if (!coordinates || coordinates.length === 0 || !inRange(coordinates)) return null;
+
+        return coordinates.length === 1 ?
+            { type: 'Point', coordinates: coordinates[0] } :
+            { type: 'LineString', coordinates: coordinates };
+    }
+
+    decodePolyline(text, precision = 5) {
+        // Google encoded polyline -> [[lon, lat], ...], or null if the text isn't a valid encoding
+        const factor = Math.pow(10, precision);
+        const coordinates = [];
+        let index = 0;
+        let lat = 0;
+        let lon = 0;
+
+        while (index < text.length) {
+            // Each value is a zigzag-encoded delta in 5-bit chunks, offset by 63 into printable ASCII
+            const deltas = [];
+            for (let i = 0; i < 2; i++) {
+                let result = 0;
+                let shift = 0;
+                let chunk;
+                do {
+                    if (index >= text.length) return null;
+                    chunk = text.charCodeAt(index++) - 63;
+                    if (chunk < 0 || chunk > 63 || shift > 30) return null;
+                    result |= (chunk & 0x1f) << shift;
+                    shift += 5;
+                } while (chunk >= 0x20);
+                deltas.push(result & 1 ? ~(result >> 1) : result >> 1);
+            }
+            lat += deltas[0];
+            lon += deltas[1];
+            coordinates.push([lon / factor, lat / factor]);
+        }
+
+        return coordinates;
+    }
+
+    sortPointsByTime(points) {
+        // Stable sort on the ISO timestamps; points without a time keep their row order at the end
+        points.sort((a, b) => {
+            if (!a.time || !b.time) return (a.time ? 0 : 1) - (b.time ? 0 : 1);
+            return a.time < b.time ? -1 : a.time > b.time ? 1 : 0;
+        });
+    }
+
+    splitPointsAtTimeGaps(points, maxGapMs, getTime = (point) => (point.time ? Date.parse(point.time) : null)) {
+        // Starts a new part wherever consecutive timed points are more than maxGapMs apart (getTime in ms)
+        const parts = [[points[0]]];
+        for (let i = 1; i < points.length; i++) {
+            const previous = getTime(points[i - 1]);
+            const current = getTime(points[i]);
+            if (previous !== null && current !== null && current - previous > maxGapMs) {
+                parts.push([]);
+            }
+            parts[parts.length - 1].push(points[i]);
+        }
+        return parts;
+    }
+
+    detectCSVColumns(header) {
+        // Guess column roles from header names. Exact names win; otherwise a name may match one
+        // word of a column (gps_lat, Latitude (deg)) but never a substring (max_speed is not "x").
+        const columnNames = {
+            latLongArray: ['lat_long_array', 'latlongarray', 'coordinates', 'coords', 'points'],
+            lat: ['lat', 'latitude', 'y', 'ycoord', 'northing'],
+            lon: ['lon', 'lng', 'longitude', 'long', 'x', 'xcoord', 'easting'],
+            geometry: ['geom', 'geometry', 'the_geom', 'wkt', 'geom_wkt', 'wkt_geom', 'polyline', 'encoded_polyline', 'overview_polyline'],
+            sequence: ['offroad_sequence_id', 'sequence_id', 'sequenceid', 'sequence', 'seq', 'id'],
+            timestamp: ['timestamp', 'time', 'datetime', 'date_time', 'recorded_at', 'gps_time', 'ts']
+        };
+        // Roles that may also match a single word of the column name
+        const tokenRoles = ['lat', 'lon', 'timestamp'];
+        
+        const normalized = header.map(col => col.trim().toLowerCase());
+        const tokens = header.map(col => col.trim()
+            .replace(/([a-z])([A-Z])/g, '$1_$2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token));
+        
+        const columns = {};
+        Object.entries(columnNames).forEach(([role, names]) => {
+            let index = normalized.findIndex(col => names.includes(col));
+            if (index === -1 && tokenRoles.includes(role)) {
+                index = tokens.findIndex(colTokens => colTokens.some(token => names.includes(token)));
+            }
+            columns[role] = index;
+        });
+        
+        // A column can only play one role
+        if (columns.lon === columns.lat) columns.lon = -1;
+        return columns;
+    }
+
+    getCSVRowSequenceId(header, row, rowIndex, sequenceIdIndex, sequenceIdResolver = null) {
+        // A configured mapping wins; rows it leaves blank fall back to the default columns
+        if (sequenceIdResolver) {
+            const resolvedId = sequenceIdResolver(this.csvRowToProperties(header, row));
+            if (resolvedId) return resolvedId;
+        }
+        
+        if (sequenceIdIndex >= 0 && row[sequenceIdIndex] && row[sequenceIdIndex].trim()) {
+            return String(row[sequenceIdIndex]).trim();
+        }
+        
+        const groupIndex = header.findIndex(col => col.toLowerCase().trim() === 'group');
+        if (groupIndex >= 0 && row[groupIndex] && row[groupIndex].trim()) {
+            return String(row[groupIndex]).trim();
+        }
+        
+        return `csv_sequence_${rowIndex}`;
+    }
+
+    csvRowToProperties(header, row) {
+        const properties = {};
+        header.forEach((colName, idx) => {
+            if (row[idx] && row[idx].trim()) {
+                properties[colName.trim()] = row[idx].trim();
+            }
+        });
+        return properties;
+    }
+
+    parseCSVTimestamp(value) {
+        // Accepts ISO/date strings and Unix epochs (seconds or milliseconds); returns an ISO string or null
+        if (!value || !value.trim()) return null;
+        const text = value.trim();
+        let date;
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const number = parseFloat(text);
+            date = new Date(number > 1e11 ? number : number * 1000);
+        } else {
+            date = new Date(text);
+        }
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    parseWKT(text) {
+        // Well-Known Text -> GeoJSON geometry (POINT, LINESTRING, POLYGON and MULTI* types, optional Z/M), or null
+        const match = /^\s*(?:SRID=\d+;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON)\s*(ZM|Z|M)?\s*(\([\s\S]*\))\s*$/i.exec(text);
+        if (!match) return null;
+
+        const types = {
+            POINT: 'Point',
+            LINESTRING: 'LineString',
+            POLYGON: 'Polygon',
+            MULTIPOINT: 'MultiPoint',
+            MULTILINESTRING: 'MultiLineString',
+            MULTIPOLYGON: 'MultiPolygon'
+        };
+        const type = types[match[1].toUpperCase()];
+        const dimension = (match[2] || '').toUpperCase();
+
+        // "(1 2, 3 4)" -> "[[1,2],[3,4]]"
+        const number = '-?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?';
+        const json = match[3]
+            .replace(new RegExp(`${number}(?:\\s+${number})+`, 'gi'), tuple => `[${tuple.trim().split(/\s+/).map(Number).join(',')}]`)
+            .replace(/\(/g, '[')
+            .replace(/\)/g, ']');
+
+        let coordinates;
+        try {
+            coordinates = JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+
+        // Keep x, y and z; an M value is not an elevation
+        const toPosition = (tuple) => (dimension === 'M' ? tuple.slice(0, 2) : tuple.slice(0, 3));
+        const mapPositions = (value) => (typeof value[0] === 'number' ? toPosition(value) : value.map(mapPositions));
+        coordinates = mapPositions(coordinates);
+
+        if (type === 'Point') {
+            coordinates = coordinates[0];
+        } else if (type === 'MultiPoint') {
+            // Both "MULTIPOINT (1 2, 3 4)" and "MULTIPOINT ((1 2), (3 4))" are valid
+            coordinates = coordinates.map(point => (Array.isArray(point[0]) ? point[0] : point));
+        }
+
+        return { type, coordinates };
+    }
+
+    getSequenceId(feature) {
+        const properties = feature.properties || {};
+        const explicitId = this.getExplicitSequenceId(properties);
+        if (explicitId) {
+            return explicitId;
+        }
+        
+        // No ID property - derive one from the geometry and source file so it is the same on every
+        // reload (a random ID would lose the saved status, notes and edits)
+        const content = `${properties._source_file || ''}|${JSON.stringify(feature.geometry || null)}`;
+        return `sequence_${this.hashString(content)}`;
+    }
+
+    getExplicitSequenceId(properties) {
+        // _sequence_id is set on import when a sequence ID mapping was chosen
+        const explicitId = properties._sequence_id ||
+            properties.sequence_id || 
+            properties.sequenceId || 
+            properties.sequence || 
+            properties.id ||
+            properties.seq;
+        return explicitId ? String(explicitId) : null;
+    }
+
+    hashString(text) {
+        // 53-bit string hash (cyrb53) - deterministic and collision-resistant enough for feature keys
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    createSequenceIdResolver(mapping) {
+        // Returns a function mapping a feature's (or CSV row's) properties to a sequence ID,
+        // or null for the default lookup chain
+        if (!mapping || mapping.mode === 'auto') return null;
+        
+        if (mapping.mode === 'property') {
+            if (!mapping.property) return null;
+            return (properties) => {
+                const value = properties[mapping.property];
+                return value !== undefined && value !== null && String(value).trim() !== '' ? String(value).trim() : null;
+            };
+        }
+        
+        if (mapping.mode === 'template') {
+            if (!mapping.template || !/\{[^}]+\}/.test(mapping.template)) return null;
+            return (properties) => {
+                let hasValue = false;
+                const id = mapping.template.replace(/\{([^}]+)\}/g, (match, key) => {
+                    const value = properties[key.trim()];
+                    if (value === undefined || value === null || String(value).trim() === '') return '';
+                    hasValue = true;
+                    return String(value).trim();
+                });
+                // All placeholders empty - let the default chain decide
+                return hasValue ? id : null;
+            };
+        }
+        
+        return null;
+    }
+
+    calculateStats(features) {
+        let nodes = 0;
+        let ways = 0;
+
+        features.forEach(feature => {
+            if (feature.geometry) {
+                if (feature.geometry.type === 'Point') {
+                    nodes++;
+                } else if (feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString') {
+                    ways++;
+                    if (feature.geometry.coordinates) {
+                        if (Array.isArray(feature.geometry.coordinates[0])) {
+                            nodes += feature.geometry.coordinates.length;
+                        } else {
+                            nodes += 1;
+                        }
+                    }
+                } else if (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon') {
+                    ways++;
+                    if (feature.geometry.coordinates && feature.geometry.coordinates[0]) {
+                        nodes += feature.geometry.coordinates[0].length;
+                    }
+                }
+            }
+        });
+
+        return {
+            features: features.length,
+            nodes: nodes,
+            ways: ways
+        };
+    }
+}
+
+// Create global instance
+const featureParser = new FeatureParser();
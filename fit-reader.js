@@ -0,0 +1,210 @@
+// FIT Reader for OSMAGIC Task Manager
+// Decodes Garmin FIT activity files (binary) into track points in the browser
+class FITReader {
+    constructor() {
+        // FIT timestamps count seconds from 1989-12-31T00:00:00Z
+        this.epochOffset = 631065600;
+        this.semicirclesToDegrees = 180 / Math.pow(2, 31);
+
+        // Base type number -> size in bytes (strings, byte arrays and 64-bit types are skipped)
+        this.typeSizes = { 0: 1, 1: 1, 2: 1, 3: 2, 4: 2, 5: 4, 6: 4, 8: 4, 9: 8, 10: 1, 11: 2, 12: 4 };
+    }
+
+    read(arrayBuffer) {
+        // Returns { startTime, points: [{ lat, lon, time, altitude, speed, heartRate, cadence }] }.
+        // A file may hold several FIT files back to back (chained), each with its own header.
+        const view = new DataView(arrayBuffer);
+        const result = { startTime: null, points: [] };
+        let offset = 0;
+
+        while (offset + 12 <= view.byteLength) {
+            const headerSize = view.getUint8(offset);
+            const dataSize = view.getUint32(offset + 4, true);
+            const signature = String.fromCharCode(...new Uint8Array(arrayBuffer, offset + 8, 4));
+            if (headerSize < 12 || signature !== '.FIT') {
+                if (offset === 0) {
+                    throw new Error('Not a valid FIT file');
+                }
+                break;
+            }
+
+            const end = Math.min(offset + headerSize + dataSize, view.byteLength);
+            this.readRecords(view, offset + headerSize, end, result);
+            offset = end + 2; // Skip the file CRC
+        }
+
+        return result;
+    }
+
+    readRecords(view, start, end, result) {
+        const definitions = {}; // Local message type -> definition (local types are per file)
+        let lastTimestamp = null;
+        let pos = start;
+
+        while (pos < end) {
+            const header = view.getUint8(pos++);
+            let localType;
+            let timeOffset = null;
+
+            if (header & 0x80) {
+                // Compressed timestamp header: the low 5 bits of the time since the last timestamp
+                localType = (header >> 5) & 0x03;
+                timeOffset = header & 0x1f;
+            } else {
+                localType = header & 0x0f;
+                if (header & 0x40) {
+                    pos = this.readDefinition(view, pos, (header & 0x20) !== 0, definitions, localType);
+                    continue;
+                }
+            }
+
+            const definition = definitions[localType];
+            if (!definition) {
+                throw new Error('Corrupt FIT file: data message without a definition');
+            }
+            if (pos + definition.size > view.byteLength) {
+                throw new Error('Corrupt FIT file: unexpected end of data');
+            }
+
+            const values = {};
+            definition.fields.forEach(field => {
+                values[field.number] = this.readValue(view, pos, field, definition.littleEndian);
+                pos += field.size;
+            });
+            pos += definition.developerSize;
+
+            let timestamp = values[253];
+            if (timestamp !== undefined && timestamp !== null) {
+                lastTimestamp = timestamp;
+            } else if (timeOffset !== null && lastTimestamp !== null) {
+                const lastOffset = lastTimestamp % 32;
+                timestamp = lastTimestamp - lastOffset + timeOffset + (timeOffset < lastOffset ? 32 : 0);
+                lastTimestamp = timestamp;
+            }
+
+            if (definition.globalNumber === 0 && values[4] !== null && values[4] !== undefined) {
+                // file_id.time_created
+                result.startTime = result.startTime || this.toISOString(values[4]);
+            } else if (definition.globalNumber === 20) {
+                this.addRecordPoint(values, timestamp, result.points);
+            }
+        }
+    }
+
+    readDefinition(view, pos, hasDeveloperFields, definitions, localType) {
+        // Definition message: reserved, architecture, global message number, fields (number, size, base type)
+        const littleEndian = view.getUint8(pos + 1) === 0;
+        const globalNumber = view.getUint16(pos + 2, littleEndian);
+        const fieldCount = view.getUint8(pos + 4);
+        pos += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+            fields.push({
+                number: view.getUint8(pos),
+                size: view.getUint8(pos + 1),
+                type: view.getUint8(pos + 2) & 0x1f
+            });
+            pos += 3;
+        }
+
+        // Developer fields are skipped, but their sizes still count
+        let developerSize = 0;
+        if (hasDeveloperFields) {
+            const developerCount = view.getUint8(pos++);
+            for (let i = 0; i < developerCount; i++) {
+                developerSize += view.getUint8(pos + 1);
+                pos += 3;
+            }
+        }
+
+        definitions[localType] = {
+            globalNumber,
+            littleEndian,
+            fields,
+            developerSize,
+            size: fields.reduce((total, field) => total + field.size, 0) + developerSize
+        };
+        return pos;
+    }
+
+    readValue(view, pos, field, littleEndian) {
+        // Single numeric values only; null for arrays, other types and the type's "invalid" value
+        if (this.typeSizes[field.type] !== field.size) return null;
+
+        switch (field.type) {
+            case 0: case 2: {
+                const value = view.getUint8(pos);
+                return value === 0xff ? null : value;
+            }
+            case 1: {
+                const value = view.getInt8(pos);
+                return value === 0x7f ? null : value;
+            }
+            case 3: {
+                const value = view.getInt16(pos, littleEndian);
+                return value === 0x7fff ? null : value;
+            }
+            case 4: {
+                const value = view.getUint16(pos, littleEndian);
+                return value === 0xffff ? null : value;
+            }
+            case 5: {
+                const value = view.getInt32(pos, littleEndian);
+                return value === 0x7fffffff ? null : value;
+            }
+            case 6: {
+                const value = view.getUint32(pos, littleEndian);
+                return value === 0xffffffff ? null : value;
+            }
+            case 8: {
+                const value = view.getFloat32(pos, littleEndian);
+                return isNaN(value) ? null : value;
+            }
+            case 9: {
+                const value = view.getFloat64(pos, littleEndian);
+                return isNaN(value) ? null : value;
+            }
+            case 10:
+                return view.getUint8(pos) || null;
+            case 11:
+                return view.getUint16(pos, littleEndian) || null;
+            case 12:
+                return view.getUint32(pos, littleEndian) || null;
+            default:
+                return null;
+        }
+    }
+
+    addRecordPoint(values, timestamp, points) {
+        // record message: position in semicircles, altitude in 1/5 m offset by 500 m, speed in mm/s.
+        // Indoor activities have records without a position - those are left out.
+        const lat = values[0];
+        const lon = values[1];
+        if (lat === null || lat === undefined || lon === null || lon === undefined) return;
+
+        const altitude = this.firstValue(values[78], values[2]); // enhanced_altitude, altitude
+        const speed = this.firstValue(values[73], values[6]); // enhanced_speed, speed
+        points.push({
+            lat: lat * this.semicirclesToDegrees,
+            lon: lon * this.semicirclesToDegrees,
+            time: timestamp !== null && timestamp !== undefined ? this.toISOString(timestamp) : null,
+            altitude: altitude !== null ? Math.round((altitude / 5 - 500) * 100) / 100 : null,
+            speed: speed !== null ? speed / 1000 : null,
+            heartRate: this.firstValue(values[3]),
+            cadence: this.firstValue(values[4])
+        });
+    }
+
+    firstValue(...values) {
+        const value = values.find(candidate => candidate !== null && candidate !== undefined);
+        return value === undefined ? null : value;
+    }
+
+    toISOString(timestamp) {
+        return new Date((timestamp + this.epochOffset) * 1000).toISOString();
+    }
+}
+
+// Create global instance
+const fitReader = new FITReader();
@@ -0,0 +1,130 @@
+// GeoJSON Reader for OSMAGIC Task Manager
+// Streams a FeatureCollection feature by feature, so files too large for one string can be imported
+class GeoJSONReader {
+    async read(file, onFeature, progressCallback = null) {
+        // Calls onFeature for each feature and resolves with the other top-level members (type, crs, ...)
+        const parser = this.createParser(onFeature);
+
+        if (typeof file.stream !== 'function') {
+            parser.push(await file.text());
+            return parser.end();
+        }
+
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder('utf-8');
+        let bytesRead = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            parser.push(decoder.decode(value, { stream: true }));
+            bytesRead += value.length;
+            if (progressCallback) {
+                progressCallback(Math.round((bytesRead / file.size) * 100));
+            }
+        }
+        parser.push(decoder.decode());
+
+        return parser.end();
+    }
+
+    createParser(onFeature) {
+        // Scans the text for the top-level object's members. Elements of its "features" array are
+        // cut out and parsed one at a time; all other members are parsed together at the end.
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        let inFeatures = false; // Inside the top-level "features" array
+        let capturing = false; // Collecting the text of a top-level member or a feature
+        let buffer = ''; // Captured text carried over from earlier chunks
+        let foundFeatures = false;
+        const memberTexts = [];
+
+        return {
+            push(text) {
+                // Strip a byte order mark at the very start
+                if (depth === 0 && !capturing && text.charCodeAt(0) === 0xfeff) {
+                    text = text.slice(1);
+                }
+
+                let start = 0;
+                for (let i = 0; i < text.length; i++) {
+                    const char = text[i];
+
+                    if (inString) {
+                        if (escaped) {
+                            escaped = false;
+                        } else if (char === '\\') {
+                            escaped = true;
+                        } else if (char === '"') {
+                            inString = false;
+                        }
+                        continue;
+                    }
+
+                    if (char === '"') {
+                        inString = true;
+                    } else if (char === '{' || char === '[') {
+                        depth++;
+                        if (depth === 1) {
+                            if (char !== '{') {
+                                throw new Error('Invalid GeoJSON: expected a FeatureCollection object');
+                            }
+                            capturing = true;
+                            start = i + 1;
+                            buffer = '';
+                        } else if (depth === 2 && char === '[' && capturing &&
+                            /^\s*"features"\s*:\s*$/.test(buffer + text.slice(start, i))) {
+                            inFeatures = true;
+                            foundFeatures = true;
+                            capturing = false;
+                            buffer = '';
+                        } else if (depth === 3 && inFeatures) {
+                            capturing = true;
+                            start = i;
+                            buffer = '';
+                        }
+                    } else if (char === '}' || char === ']') {
+                        depth--;
+                        if (depth === 2 && inFeatures) {
+                            onFeature(JSON.parse(buffer + text.slice(start, i + 1)));
+                            capturing = false;
+                            buffer = '';
+                        } else if (depth === 1 && inFeatures) {
+                            inFeatures = false;
+                        } else if (depth === 0) {
+                            if (capturing) memberTexts.push(buffer + text.slice(start, i));
+                            capturing = false;
+                            buffer = '';
+                        }
+                    } else if (char === ',' && depth === 1) {
+                        if (capturing) memberTexts.push(buffer + text.slice(start, i));
+                        capturing = true;
+                        start = i + 1;
+                        buffer = '';
+                    }
+                }
+
+                if (capturing) {
+                    buffer += text.slice(start);
+                }
+            },
+
+            end() {
+                if (depth !== 0 || inString) {
+                    throw new Error('Invalid GeoJSON: unexpected end of file');
+                }
+
+                const members = JSON.parse(`{${memberTexts.filter(text => text.trim()).join(',')}}`);
+                if (!foundFeatures) {
+                    throw new Error('Invalid GeoJSON: missing features array');
+                }
+                return members;
+            }
+        };
+    }
+}
+
+// Create global instance
+const geojsonReader = new GeoJSONReader();
@@ -0,0 +1,143 @@
+// NMEA Reader for OSMAGIC Task Manager
+// Reconstructs GPS fixes from raw NMEA 0183 logs ($GPGGA / $GPRMC and other talkers)
+class NMEAReader {
+    read(text) {
+        // Returns fixes in log order: [{ lat, lon, time, elapsed, altitude, quality, satellites, hdop, speed }].
+        // GGA and RMC sentences of the same epoch (same time of day) are merged into one fix;
+        // sentences with a bad checksum and fixes either sentence marks invalid are discarded.
+        const fixes = [];
+        let fix = null;
+
+        const finishFix = () => {
+            if (fix && fix.valid && fix.lat !== null && fix.lon !== null) {
+                fixes.push(fix);
+            }
+            fix = null;
+        };
+
+        text.split(/\r?\n/).forEach(line => {
+            const sentence = this.parseSentence(line);
+            if (!sentence || (sentence.type !== 'GGA' && sentence.type !== 'RMC')) return;
+
+            const fields = sentence.fields;
+            const timeOfDay = fields[0];
+            if (!fix || fix.timeOfDay !== timeOfDay) {
+                finishFix();
+                fix = { timeOfDay, date: null, valid: true, lat: null, lon: null, altitude: null, quality: null, satellites: null, hdop: null, speed: null };
+            }
+
+            if (sentence.type === 'GGA') {
+                // time, lat, N/S, lon, E/W, quality, satellites, hdop, altitude, M, ...
+                fix.quality = this.parseNumber(fields[5]);
+                if (!fix.quality) fix.valid = false; // 0 or missing = no fix
+                fix.satellites = this.parseNumber(fields[6]);
+                fix.hdop = this.parseNumber(fields[7]);
+                fix.altitude = this.parseNumber(fields[8]);
+                this.setPosition(fix, fields[1], fields[2], fields[3], fields[4]);
+            } else {
+                // time, status, lat, N/S, lon, E/W, speed (knots), course, date (ddmmyy), ...
+                if (fields[1] !== 'A') fix.valid = false; // V = void
+                const knots = this.parseNumber(fields[6]);
+                fix.speed = knots !== null ? knots * 0.514444 : null;
+                fix.date = /^\d{6}$/.test(fields[8] || '') ? fields[8] : null;
+                this.setPosition(fix, fields[2], fields[3], fields[4], fields[5]);
+            }
+        });
+        finishFix();
+
+        this.assignTimes(fixes);
+        return fixes.map(({ lat, lon, time, elapsed, altitude, quality, satellites, hdop, speed }) =>
+            ({ lat, lon, time, elapsed, altitude, quality, satellites, hdop, speed }));
+    }
+
+    parseSentence(line) {
+        // '$GPGGA,...*hh' -> { type: 'GGA', fields: [...] }, or null (not NMEA, or a bad checksum)
+        const start = line.indexOf('$');
+        if (start < 0) return null;
+
+        let body = line.slice(start + 1).trim();
+        const star = body.lastIndexOf('*');
+        if (star >= 0) {
+            const expected = parseInt(body.slice(star + 1, star + 3), 16);
+            body = body.slice(0, star);
+            let checksum = 0;
+            for (let i = 0; i < body.length; i++) {
+                checksum ^= body.charCodeAt(i);
+            }
+            if (checksum !== expected) return null;
+        }
+
+        const fields = body.split(',');
+        const address = fields.shift();
+        if (address.length < 5) return null;
+        // Talker (GP, GN, GL, ...) is ignored; the last three letters are the sentence type
+        return { type: address.slice(-3), fields };
+    }
+
+    setPosition(fix, latText, latHemisphere, lonText, lonHemisphere) {
+        // ddmm.mmmm / dddmm.mmmm -> decimal degrees
+        const lat = this.parseCoordinate(latText, 2, latHemisphere === 'S');
+        const lon = this.parseCoordinate(lonText, 3, lonHemisphere === 'W');
+        if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) return;
+        fix.lat = lat;
+        fix.lon = lon;
+    }
+
+    parseCoordinate(text, degreeDigits, negative) {
+        if (!text || !/^\d+(\.\d+)?$/.test(text) || text.indexOf('.') === 0) return null;
+        const degrees = parseInt(text.slice(0, degreeDigits));
+        const minutes = parseFloat(text.slice(degreeDigits));
+        if (isNaN(degrees) || isNaN(minutes) || minutes >= 60) return null;
+        const value = degrees + minutes / 60;
+        return negative ? -value : value;
+    }
+
+    parseNumber(text) {
+        const value = parseFloat(text);
+        return isNaN(value) ? null : value;
+    }
+
+    assignTimes(fixes) {
+        // GGA carries only the time of day; the date comes from RMC. Fixes before the first RMC date
+        // take the next one seen, and the day rolls over when the time of day goes backwards.
+        // elapsed (seconds since midnight of the log's first day) is set from the time of day alone,
+        // so logs without RMC sentences - and so without a date or time - can still be split on gaps.
+        let date = null;
+        let previousSeconds = null;
+        let day = 0;
+        const firstDate = fixes.find(fix => fix.date);
+        if (firstDate) {
+            date = this.parseDate(firstDate.date);
+        }
+
+        fixes.forEach(fix => {
+            const seconds = this.parseTimeOfDay(fix.timeOfDay);
+            const rolledOver = seconds !== null && previousSeconds !== null && seconds < previousSeconds;
+            if (rolledOver) day++;
+            if (fix.date) {
+                date = this.parseDate(fix.date);
+            } else if (date !== null && rolledOver) {
+                date += 24 * 60 * 60 * 1000;
+            }
+            if (seconds !== null) previousSeconds = seconds;
+
+            fix.time = date !== null && seconds !== null ? new Date(date + seconds * 1000).toISOString() : null;
+            fix.elapsed = seconds !== null ? day * 24 * 60 * 60 + seconds : null;
+        });
+    }
+
+    parseTimeOfDay(text) {
+        // hhmmss(.sss) -> seconds since midnight UTC
+        const match = (text || '').match(/^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/);
+        return match ? parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]) : null;
+    }
+
+    parseDate(text) {
+        // ddmmyy -> UTC midnight in ms (two-digit years are 2000-2079, 1980-1999 for GPS-era logs)
+        const year = parseInt(text.slice(4, 6));
+        return Date.UTC(year < 80 ? 2000 + year : 1900 + year, parseInt(text.slice(2, 4)) - 1, parseInt(text.slice(0, 2)));
+    }
+}
+
+// Create global instance
+const nmeaReader = new NMEAReader();
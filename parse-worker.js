@@ -0,0 +1,15 @@
+// Parse Worker for OSMAGIC Task Manager
+// Runs featureParser requests off the main thread so large uploads don't freeze the page
+importScripts('archive-reader.js', 'xml-reader.js', 'csv-reader.js', 'geojson-reader.js', 'nmea-reader.js', 'fit-reader.js', 'crs-transformer.js', 'feature-parser.js');
+
+self.onmessage = async (e) => {
+    const { id, type, payload } = e.data;
+    try {
+        const result = await featureParser.handleRequest(type, payload, (label, percent) => {
+            self.postMessage({ id, progress: { label, percent } });
+        });
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
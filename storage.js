@@ -2,7 +2,7 @@
 class StorageManager {
     constructor() {
         this.dbName = 'OSMAGIC_TaskManager';
-        this.dbVersion = 1;
+        this.dbVersion = 4;
         this.db = null;
     }
 
@@ -32,6 +32,21 @@ class StorageManager {
                 if (!db.objectStoreNames.contains('geojsonData')) {
                     db.createObjectStore('geojsonData', { keyPath: 'id' });
                 }
+
+                // Edited geometry is kept per sequence, separate from the original GeoJSON
+                if (!db.objectStoreNames.contains('editedGeometry')) {
+                    db.createObjectStore('editedGeometry', { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'id' });
+                }
+
+                // Audit log of status changes, one record per change
+                if (!db.objectStoreNames.contains('statusHistory')) {
+                    const historyStore = db.createObjectStore('statusHistory', { keyPath: 'id', autoIncrement: true });
+                    historyStore.createIndex('sequenceId', 'sequenceId', { unique: false });
+                }
             };
         });
     }
@@ -74,7 +89,7 @@ class StorageManager {
         });
     }
 
-    async saveGeoJSONData(geojsonData) {
+    async saveGeoJSONData(geojsonData, featureKeys = null) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
@@ -87,10 +102,13 @@ class StorageManager {
                 timestamp: new Date().toISOString()
             };
 
-            const request = store.put(data);
+            store.put(data);
+            // Import keys of the features (see featureParser.getFeatureKey), kept in their own record so
+            // they can be loaded without the features. null when they haven't been worked out yet
+            store.put({ id: 'featureKeys', keys: featureKeys, featureCount: geojsonData.features.length });
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
@@ -110,14 +128,154 @@ class StorageManager {
         });
     }
 
+    async loadFeatureKeys() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['geojsonData'], 'readonly');
+            const store = transaction.objectStore('geojsonData');
+            const request = store.get('featureKeys');
+
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveEditedGeometry(sequenceId, features) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['editedGeometry'], 'readwrite');
+            const store = transaction.objectStore('editedGeometry');
+
+            const data = {
+                id: String(sequenceId),
+                features: features,
+                timestamp: new Date().toISOString()
+            };
+
+            const request = store.put(data);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadEditedGeometry() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['editedGeometry'], 'readonly');
+            const store = transaction.objectStore('editedGeometry');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                // Map of sequence ID -> edited features
+                const editedMap = new Map();
+                (request.result || []).forEach(record => {
+                    editedMap.set(String(record.id), record.features);
+                });
+                resolve(editedMap);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteEditedGeometry(sequenceId) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['editedGeometry'], 'readwrite');
+            const store = transaction.objectStore('editedGeometry');
+            const request = store.delete(String(sequenceId));
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async addStatusChange(entry) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['statusHistory'], 'readwrite');
+            const store = transaction.objectStore('statusHistory');
+            const request = store.add(entry);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadStatusHistory(sequenceId) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['statusHistory'], 'readonly');
+            const index = transaction.objectStore('statusHistory').index('sequenceId');
+            const request = index.getAll(String(sequenceId));
+
+            request.onsuccess = () => {
+                const history = request.result || [];
+                history.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+                resolve(history);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveSettings(settings) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            const store = transaction.objectStore('settings');
+
+            const data = {
+                ...settings,
+                id: 'main',
+                timestamp: new Date().toISOString()
+            };
+
+            const request = store.put(data);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadSettings() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const store = transaction.objectStore('settings');
+            const request = store.get('main');
+
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Settings are configuration, not task data, so clearAll() leaves them in place
     async clearAll() {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['taskData', 'geojsonData'], 'readwrite');
+            const transaction = this.db.transaction(['taskData', 'geojsonData', 'editedGeometry', 'statusHistory'], 'readwrite');
             
             const taskRequest = transaction.objectStore('taskData').clear();
             const geoRequest = transaction.objectStore('geojsonData').clear();
+            const editRequest = transaction.objectStore('editedGeometry').clear();
+            const historyRequest = transaction.objectStore('statusHistory').clear();
 
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => reject(transaction.error);
@@ -0,0 +1,187 @@
+// XML Reader for OSMAGIC Task Manager
+// A small non-validating XML parser for GPX, TCX, KML and OSM files. DOMParser only exists on the page,
+// so this builds a minimal DOM-like tree (elements, text and comments) that parse-worker.js can use too.
+class XmlNode {
+    constructor(nodeType, nodeName, parentNode = null) {
+        this.nodeType = nodeType; // 1 = element, 3 = text, 8 = comment, 9 = document
+        this.nodeName = nodeName;
+        this.parentNode = parentNode;
+        this.nodeValue = null; // Text and comments
+        this.attributes = {};
+        this.childNodes = [];
+        this.children = []; // Child elements only
+    }
+
+    get localName() {
+        const colon = this.nodeName.indexOf(':');
+        return colon < 0 ? this.nodeName : this.nodeName.slice(colon + 1);
+    }
+
+    get prefix() {
+        const colon = this.nodeName.indexOf(':');
+        return colon < 0 ? null : this.nodeName.slice(0, colon);
+    }
+
+    get namespaceURI() {
+        return this.nodeType === 1 ? this.lookupNamespaceURI(this.prefix) : null;
+    }
+
+    get documentElement() {
+        return this.children[0] || null;
+    }
+
+    get textContent() {
+        if (this.nodeType === 3 || this.nodeType === 8) return this.nodeValue;
+        let text = '';
+        const stack = [this];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.nodeType === 3) {
+                text += node.nodeValue;
+            } else {
+                for (let i = node.childNodes.length - 1; i >= 0; i--) stack.push(node.childNodes[i]);
+            }
+        }
+        return text;
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    lookupNamespaceURI(prefix) {
+        const attribute = prefix ? `xmlns:${prefix}` : 'xmlns';
+        for (let node = this; node && node.nodeType === 1; node = node.parentNode) {
+            const uri = node.getAttribute(attribute);
+            if (uri !== null) return uri || null;
+        }
+        return null;
+    }
+
+    getElementsByTagName(name) {
+        // Descendants in document order, matched by qualified name ('*' for all)
+        return this.findElements(el => name === '*' || el.nodeName === name);
+    }
+
+    getElementsByTagNameNS(namespace, localName) {
+        return this.findElements(el => (localName === '*' || el.localName === localName) &&
+            (namespace === '*' || el.namespaceURI === namespace));
+    }
+
+    findElements(test) {
+        const found = [];
+        const stack = this.children.slice().reverse();
+        while (stack.length > 0) {
+            const el = stack.pop();
+            if (test(el)) found.push(el);
+            for (let i = el.children.length - 1; i >= 0; i--) stack.push(el.children[i]);
+        }
+        return found;
+    }
+}
+
+class XmlReader {
+    parse(text) {
+        // XML text -> document node; throws on markup that isn't well-formed. DTDs and processing
+        // instructions are skipped, and only the predefined and numeric entities are decoded.
+        const document = new XmlNode(9, '#document');
+        const startTag = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+        const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let parent = document;
+        let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Byte order mark
+
+        const fail = (message, at) => {
+            const line = text.slice(0, at).split('\n').length;
+            throw new Error(`${message} (line ${line})`);
+        };
+        const addText = (value) => {
+            if (parent === document) {
+                if (value.trim()) fail('Text outside the root element', pos);
+                return;
+            }
+            const node = new XmlNode(3, '#text', parent);
+            node.nodeValue = value;
+            parent.childNodes.push(node);
+        };
+        const find = (token, from) => {
+            const index = text.indexOf(token, from);
+            if (index < 0) fail(`Unterminated markup, expected "${token}"`, from);
+            return index;
+        };
+
+        while (pos < text.length) {
+            const lt = text.indexOf('<', pos);
+            if (lt < 0) {
+                addText(this.decodeEntities(text.slice(pos)));
+                break;
+            }
+            if (lt > pos) {
+                addText(this.decodeEntities(text.slice(pos, lt)));
+            }
+
+            if (text.startsWith('<!--', lt)) {
+                const end = find('-->', lt + 4);
+                const node = new XmlNode(8, '#comment', parent);
+                node.nodeValue = text.slice(lt + 4, end);
+                parent.childNodes.push(node);
+                pos = end + 3;
+            } else if (text.startsWith('<![CDATA[', lt)) {
+                const end = find(']]>', lt + 9);
+                addText(text.slice(lt + 9, end));
+                pos = end + 3;
+            } else if (text.startsWith('<?', lt)) {
+                pos = find('?>', lt + 2) + 2;
+            } else if (text.startsWith('<!', lt)) {
+                // <!DOCTYPE ...>, possibly with an internal subset in brackets
+                const bracket = text.indexOf('[', lt);
+                const close = find('>', lt);
+                pos = (bracket >= 0 && bracket < close ? find('>', find(']', bracket)) : close) + 1;
+            } else if (text[lt + 1] === '/') {
+                const end = find('>', lt);
+                const name = text.slice(lt + 2, end).trim();
+                if (parent === document || parent.nodeName !== name) {
+                    fail(`Unexpected closing tag </${name}>`, lt);
+                }
+                parent = parent.parentNode;
+                pos = end + 1;
+            } else {
+                startTag.lastIndex = lt;
+                const match = startTag.exec(text);
+                if (!match) fail('Malformed start tag', lt);
+                if (parent === document && document.children.length > 0) {
+                    fail('More than one root element', lt);
+                }
+
+                const el = new XmlNode(1, match[1], parent);
+                attributePattern.lastIndex = 0;
+                let attribute;
+                while ((attribute = attributePattern.exec(match[2])) !== null) {
+                    el.attributes[attribute[1]] = this.decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+                }
+                parent.childNodes.push(el);
+                parent.children.push(el);
+                if (!match[3]) parent = el;
+                pos = startTag.lastIndex;
+            }
+        }
+
+        if (parent !== document) fail(`Unclosed element <${parent.nodeName}>`, text.length);
+        if (!document.documentElement) fail('No root element', text.length);
+        return document;
+    }
+
+    decodeEntities(text) {
+        if (text.indexOf('&') < 0) return text;
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/g, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+            }
+            return named[name] !== undefined ? named[name] : entity;
+        });
+    }
+}
+
+// Create global instance
+const xmlReader = new XmlReader();